@@ -0,0 +1,131 @@
+'use strict';
+/**
+ * authguard.js (Node ONLY) — failed-login tracking, in memory like the rate limiter
+ * - failures are counted per account (lowercase name) and per IP: 'account|bob' / 'ip|1.2.3.4'
+ * - they slow every further attempt down, then ask for a proof-of-work, then lock;
+ *   each lockout of the same key lasts twice as long as the one before
+ * - a restart forgets everything
+ */
+const crypto = require('crypto');
+
+const LOGIN_FAIL_WINDOW = 60 * 60 * 1000; // failures older than this are forgotten
+const LOGIN_DELAY_AFTER = 3;
+const LOGIN_DELAY_MAX = 8000;
+const LOGIN_CHALLENGE_AFTER = 5;
+const LOGIN_LOCK_AFTER = { account: 10, ip: 30 }; // an IP can be many people behind one NAT
+const LOGIN_LOCK_BASE = 15 * 60 * 1000;
+const LOGIN_LOCK_MAX = 24 * 60 * 60 * 1000;
+const CHALLENGE_TTL = 5 * 60 * 1000;
+
+/**
+ * createAuthGuard({ challengeBits, onLockout })
+ * challengeBits: leading zero bits of the proof-of-work; 0 turns the check off
+ * onLockout(lockout): called with the public view of a key that just got locked
+ */
+function createAuthGuard({ challengeBits = 0, onLockout = () => {} } = {}) {
+  const failures = new Map(); // key -> { kind, name, failures, lastAt, lockedUntil, lockouts }
+  const challenges = new Map(); // id -> { salt, bits, expiresAt }
+
+  function keys(username, ip) {
+    const out = [['ip', ip]];
+    if (username) out.push(['account', username.toLowerCase()]);
+    return out;
+  }
+
+  function record(kind, name) {
+    const rec = failures.get(kind + '|' + name);
+    if (!rec) return null;
+    if (!rec.lockedUntil && Date.now() - rec.lastAt > LOGIN_FAIL_WINDOW) rec.failures = 0;
+    return rec;
+  }
+
+  // -> the lock that ends last among these keys, or null
+  function lock(list) {
+    const now = Date.now();
+    let found = null;
+    for (const [kind, name] of list) {
+      const rec = record(kind, name);
+      if (rec && rec.lockedUntil > now && (!found || rec.lockedUntil > found.lockedUntil)) found = rec;
+    }
+    return found;
+  }
+
+  function failureCount(list) {
+    return Math.max(0, ...list.map(([kind, name]) => (record(kind, name) || { failures: 0 }).failures));
+  }
+
+  function recordFailure(list) {
+    const now = Date.now();
+    for (const [kind, name] of list) {
+      const key = kind + '|' + name;
+      const rec = record(kind, name) || { kind, name, failures: 0, lastAt: now, lockedUntil: 0, lockouts: 0 };
+      rec.failures++;
+      rec.lastAt = now;
+      if (rec.failures >= LOGIN_LOCK_AFTER[kind]) {
+        rec.lockedUntil = now + Math.min(LOGIN_LOCK_MAX, LOGIN_LOCK_BASE * 2 ** rec.lockouts);
+        rec.lockouts++;
+        rec.failures = 0;
+        onLockout(publicView(rec));
+      }
+      failures.set(key, rec);
+    }
+  }
+
+  function publicView(rec) {
+    const now = Date.now();
+    return {
+      key: rec.kind + '|' + rec.name, kind: rec.kind, name: rec.name, failures: rec.failures,
+      lockedUntil: rec.lockedUntil > now ? rec.lockedUntil : null, lockouts: rec.lockouts, lastAt: rec.lastAt,
+    };
+  }
+
+  // keys with recent failures or a running lock, newest lock first
+  function list() {
+    const now = Date.now();
+    const out = Array.from(failures.values()).map(rec => record(rec.kind, rec.name))
+      .filter(rec => rec.failures || rec.lockedUntil > now).map(publicView);
+    return out.sort((a, b) => (b.lockedUntil || 0) - (a.lockedUntil || 0) || b.lastAt - a.lastAt);
+  }
+
+  function clear(key) { return failures.delete(String(key || '')); }
+
+  function delay(count) {
+    if (count < LOGIN_DELAY_AFTER) return 0;
+    return Math.min(LOGIN_DELAY_MAX, 500 * 2 ** (count - LOGIN_DELAY_AFTER));
+  }
+
+  // proof-of-work: find a nonce so sha256(salt + nonce) starts with `bits` zero bits
+  function challengeNeeded(list) {
+    return challengeBits > 0 && failureCount(list) >= LOGIN_CHALLENGE_AFTER;
+  }
+  function newChallenge() {
+    const c = { id: 'ch_' + crypto.randomBytes(12).toString('hex'), salt: crypto.randomBytes(16).toString('hex'), bits: challengeBits, expiresAt: Date.now() + CHALLENGE_TTL };
+    challenges.set(c.id, c);
+    return { id: c.id, salt: c.salt, bits: c.bits };
+  }
+  // single use, whether or not the answer is right
+  function challengeSolved(id, nonce) {
+    const c = challenges.get(String(id || ''));
+    if (!c) return false;
+    challenges.delete(c.id);
+    if (c.expiresAt <= Date.now()) return false;
+    const hash = crypto.createHash('sha256').update(c.salt + String(nonce ?? '')).digest();
+    for (let i = 0; i < c.bits; i++) {
+      if (hash[i >> 3] & (0x80 >> (i & 7))) return false;
+    }
+    return true;
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [key, rec] of failures.entries()) {
+      // lockout counts are kept for a day after the last lock so repeat offenders keep doubling
+      if (rec.lockedUntil <= now && now - rec.lastAt > Math.max(LOGIN_FAIL_WINDOW, rec.lockouts ? LOGIN_LOCK_MAX : 0)) failures.delete(key);
+    }
+    for (const [id, c] of challenges.entries()) if (c.expiresAt <= now) challenges.delete(id);
+  }
+
+  return { keys, lock, failureCount, recordFailure, list, clear, delay, challengeNeeded, newChallenge, challengeSolved, sweep };
+}
+
+module.exports = { createAuthGuard, LOGIN_LOCK_AFTER, LOGIN_LOCK_BASE, LOGIN_LOCK_MAX, LOGIN_CHALLENGE_AFTER };
@@ -0,0 +1,201 @@
+'use strict';
+/**
+ * filter.js (Node ONLY) — content filter: text normalization + rule matching, no state
+ * - every character is folded on its own (NFKC, accents dropped, lowercased, look-alikes and
+ *   leetspeak mapped), so a match always points back at a span of the original text
+ * - text is read in two views: whole whitespace tokens with punctuation removed ("sh.i.t"),
+ *   and the parts between punctuation ("what-the-heck"); runs of single letters are joined
+ *   in both ("f u c k")
+ * - word rules tolerate repeated letters ("fuuuck"); `*` at either end matches the rest of a word
+ * - regex rules run as written against the normalized views (lowercase, a-z / 0-9 / other letters)
+ */
+
+const RULE_KINDS = ['word', 'regex'];
+const RULE_ACTIONS = ['mask', 'block', 'flag'];
+const RULE_SCOPES = ['channel', 'group', 'dm', 'profile']; // thread types + names / bios / topics
+const PATTERN_MAX = 100;
+
+// look-alikes that survive NFKC + lowercasing (Cyrillic, Greek, a few Latin extensions)
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't',
+  'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w', 'ӏ': 'l',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u',
+  'ᴀ': 'a', 'ʙ': 'b', 'ᴄ': 'c', 'ᴅ': 'd', 'ᴇ': 'e', 'ꜰ': 'f', 'ɢ': 'g', 'ʜ': 'h', 'ɪ': 'i', 'ᴊ': 'j', 'ᴋ': 'k',
+  'ʟ': 'l', 'ᴍ': 'm', 'ɴ': 'n', 'ᴏ': 'o', 'ᴘ': 'p', 'ʀ': 'r', 'ꜱ': 's', 'ᴛ': 't', 'ᴜ': 'u', 'ᴠ': 'v', 'ᴡ': 'w',
+  'ʏ': 'y', 'ᴢ': 'z', // small caps
+  'χ': 'x', 'ω': 'w', 'ս': 'u', 'օ': 'o', 'հ': 'h', 'ո': 'n', 'զ': 'q', 'ɑ': 'a', 'ɡ': 'g', 'ı': 'i', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ß': 'ss', 'æ': 'ae',
+};
+// only inside words that also have letters, so plain numbers stay numbers
+const LEET_DIGITS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g' };
+// only right before a letter ("$hit", "sh!t"); "@name" at the start of a word is a mention.
+// No "|" -> "l": that is the spoiler mark, and "||word||" has to read as "word"
+const LEET_SYMBOLS = { '$': 's', '@': 'a', '!': 'i', '€': 'e', '£': 'l' };
+
+const INVISIBLE_RE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u206F\uFE00-\uFE0F\uFEFF]/u;
+const ALNUM_RE = /^[\p{L}\p{N}]+$/u;
+const MENTION_TOKEN_RE = /^@[A-Za-z0-9_]{2,20}$/;
+const LETTER_RE = /\p{L}/u;
+
+// one code point -> its folded form ('' for invisible / combining marks)
+function foldChar(ch) {
+  if (INVISIBLE_RE.test(ch)) return '';
+  let s = ch.normalize('NFKC').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  s = Array.from(s).map(c => CONFUSABLES[c] || c).join('');
+  return s;
+}
+
+/**
+ * -> { views: [wordView, partView] }; a view is a list of units { text, chars } where
+ * text is folded and chars are the [start, end) UTF-16 ranges in s that it was read from
+ * (separators and markup between them are not included)
+ */
+function analyze(s) {
+  const chars = [];
+  let pos = 0;
+  for (const ch of s) {
+    chars.push({ start: pos, end: pos + ch.length, raw: ch, norm: foldChar(ch) });
+    pos += ch.length;
+  }
+
+  const tokens = [];
+  let cur = null;
+  for (const c of chars) {
+    if (/^\s$/u.test(c.raw) && c.norm !== '') { cur = null; continue; } // U+FEFF counts as \s but is invisible
+    if (!cur) { cur = []; tokens.push(cur); }
+    cur.push(c);
+  }
+
+  const wordView = [];
+  const partView = [];
+  for (const tok of tokens) {
+    const hasLetter = tok.some(c => LETTER_RE.test(c.norm));
+    const letters = tok.map((c, i) => {
+      if (ALNUM_RE.test(c.norm)) return hasLetter && LEET_DIGITS[c.norm] ? LEET_DIGITS[c.norm] : c.norm;
+      if (c.norm === '') return '';
+      const next = tok.slice(i + 1).find(x => x.norm !== '');
+      const sym = LEET_SYMBOLS[c.norm];
+      if (sym && next && LETTER_RE.test(next.norm) && !(c.norm === '@' && i === 0)) return sym;
+      return null; // separator
+    });
+
+    // only characters that were read as letters, so "sh!t." and "**shit**" keep their punctuation
+    const word = letters.filter(Boolean).join('');
+    if (word) wordView.push({ text: word, chars: tok.filter((c, i) => letters[i]).map(c => [c.start, c.end]) });
+
+    // "@some_name" is only read whole: usernames can't be split on "_" without breaking mentions
+    if (MENTION_TOKEN_RE.test(tok.map(c => c.raw).join(''))) continue;
+    let part = null;
+    tok.forEach((c, i) => {
+      if (letters[i] === null) { part = null; return; }
+      if (!part) { part = { text: '', chars: [] }; partView.push(part); }
+      part.text += letters[i];
+      if (letters[i]) part.chars.push([c.start, c.end]);
+    });
+  }
+  return { views: [joinSingles(wordView), joinSingles(partView.filter(p => p.text))] };
+}
+
+// "f u c k" -> one unit "fuck" spanning all four
+function joinSingles(units) {
+  const out = [];
+  for (const u of units) {
+    const prev = out[out.length - 1];
+    if (prev && prev.single && Array.from(u.text).length === 1) {
+      prev.text += u.text;
+      prev.chars = prev.chars.concat(u.chars);
+    } else {
+      out.push({ ...u, single: Array.from(u.text).length === 1 });
+    }
+  }
+  return out.map(u => ({ text: u.text, chars: u.chars }));
+}
+
+// the rule's own text goes through the same folding, so "ѕhit" or "SH1T" in a rule still works
+function foldPattern(p) {
+  return analyze(p).views[0].map(u => u.text).join(' ');
+}
+
+function escapeRe(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+/**
+ * rule: { kind, pattern } -> RegExp (global) over a view string, or throws on a bad pattern
+ */
+function compileRule(rule) {
+  const pattern = String(rule.pattern || '').trim();
+  if (!pattern || pattern.length > PATTERN_MAX) throw new Error(`Pattern must be 1-${PATTERN_MAX} characters.`);
+  if (rule.kind === 'regex') {
+    try { return new RegExp(pattern, 'gu'); } catch (e) { throw new Error('Invalid regex: ' + e.message); }
+  }
+  const lead = pattern.startsWith('*');
+  const trail = pattern.endsWith('*');
+  const words = foldPattern(pattern.replace(/^\*|\*$/g, '')).split(' ').filter(Boolean);
+  if (!words.length || words.join('').length < 2) throw new Error('Word rules need at least 2 letters.');
+  const body = words.map(w => Array.from(w).map(c => escapeRe(c) + '+').join('')).join(' ');
+  const any = '[\\p{L}\\p{N}]*';
+  return new RegExp(`(?<![\\p{L}\\p{N}])${lead ? any : ''}${body}${trail ? any : ''}(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+// -> [{ rule, chars }] for every match in either view
+function findMatches(text, compiled) {
+  const { views } = analyze(String(text || ''));
+  const hits = [];
+  for (const units of views) {
+    if (!units.length) continue;
+    const offsets = [];
+    let joined = '';
+    for (const u of units) {
+      if (joined) joined += ' ';
+      offsets.push(joined.length);
+      joined += u.text;
+    }
+    for (const { rule, re } of compiled) {
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(joined)) !== null) {
+        if (!m[0].length) { re.lastIndex++; continue; }
+        const from = m.index;
+        const to = m.index + m[0].length;
+        const chars = [];
+        units.forEach((u, i) => {
+          if (offsets[i] < to && offsets[i] + u.text.length > from) chars.push(...u.chars);
+        });
+        if (chars.length) hits.push({ rule, chars });
+      }
+    }
+  }
+  return hits;
+}
+
+// every matched character becomes one MASK_CHAR. Not "*": "**shit**" has to stay bold,
+// and a run of asterisks would read as Markdown
+const MASK_CHAR = '\u2217'; // ∗
+function maskChars(text, hits) {
+  const masked = new Set();
+  for (const h of hits) for (const [start] of h.chars) masked.add(start);
+  let out = '';
+  let pos = 0;
+  for (const ch of text) {
+    out += masked.has(pos) ? MASK_CHAR : ch;
+    pos += ch.length;
+  }
+  return out;
+}
+
+/**
+ * compiled: [{ rule, re }] already filtered to the scope; maskActions: which actions get masked
+ * (names and bios can't be "blocked", so the server masks every hit there).
+ * -> { text, blocked: rule | null, flagged: [rule], hits: [rule] }
+ */
+function scanText(text, compiled, maskActions = ['mask']) {
+  const s = String(text || '');
+  const hits = findMatches(s, compiled);
+  const rules = Array.from(new Set(hits.map(h => h.rule)));
+  return {
+    text: maskChars(s, hits.filter(h => maskActions.includes(h.rule.action))),
+    blocked: rules.find(r => r.action === 'block') || null,
+    flagged: rules.filter(r => r.action === 'flag'),
+    hits: rules,
+  };
+}
+
+module.exports = { RULE_KINDS, RULE_ACTIONS, RULE_SCOPES, PATTERN_MAX, MASK_CHAR, compileRule, scanText };
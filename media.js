@@ -0,0 +1,111 @@
+'use strict';
+/**
+ * media.js (Node ONLY) — upload helpers, no native deps
+ * - sniffType: decide the type from magic bytes (the client's Content-Type is ignored)
+ * - stripMetadata: drop EXIF / XMP / text chunks from JPEG, PNG and WebP
+ *   (pixels are untouched, so EXIF orientation is lost along with GPS etc.)
+ */
+
+const TYPES = {
+  'image/jpeg': { kind: 'image', ext: 'jpg' },
+  'image/png': { kind: 'image', ext: 'png' },
+  'image/gif': { kind: 'image', ext: 'gif' },
+  'image/webp': { kind: 'image', ext: 'webp' },
+  'application/pdf': { kind: 'file', ext: 'pdf' },
+  'application/zip': { kind: 'file', ext: 'zip' },
+  'text/plain': { kind: 'file', ext: 'txt' },
+};
+
+function startsWith(buf, bytes, offset = 0) {
+  if (buf.length < offset + bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) if (buf[offset + i] !== bytes[i]) return false;
+  return true;
+}
+function ascii(s) { return Array.from(s).map(c => c.charCodeAt(0)); }
+
+function isUtf8Text(buf) {
+  if (buf.includes(0)) return false;
+  try { new TextDecoder('utf-8', { fatal: true }).decode(buf); return true; } catch { return false; }
+}
+
+// -> mime string from TYPES, or null
+function sniffType(buf) {
+  if (!buf || !buf.length) return null;
+  if (startsWith(buf, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buf, ascii('GIF87a')) || startsWith(buf, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buf, ascii('RIFF')) && startsWith(buf, ascii('WEBP'), 8)) return 'image/webp';
+  if (startsWith(buf, ascii('%PDF-'))) return 'application/pdf';
+  if (startsWith(buf, [0x50, 0x4b, 0x03, 0x04])) return 'application/zip';
+  if (isUtf8Text(buf)) return 'text/plain';
+  return null;
+}
+
+// JPEG: copy segments up to SOS, skipping APP1 (Exif/XMP), APP13 (IPTC) and COM
+function stripJpeg(buf) {
+  const out = [buf.subarray(0, 2)];
+  let i = 2;
+  while (i + 4 <= buf.length) {
+    if (buf[i] !== 0xff) throw new Error('Corrupt JPEG');
+    const marker = buf[i + 1];
+    if (marker === 0xff) { i++; continue; } // fill byte
+    if (marker === 0xd9) { out.push(buf.subarray(i, i + 2)); i += 2; break; }
+    if (marker >= 0xd0 && marker <= 0xd7) { out.push(buf.subarray(i, i + 2)); i += 2; continue; }
+    const len = buf.readUInt16BE(i + 2);
+    if (len < 2 || i + 2 + len > buf.length) throw new Error('Corrupt JPEG');
+    const seg = buf.subarray(i, i + 2 + len);
+    if (marker === 0xda) { out.push(buf.subarray(i)); i = buf.length; break; } // scan data runs to EOI
+    if (marker !== 0xe1 && marker !== 0xed && marker !== 0xfe) out.push(seg);
+    i += 2 + len;
+  }
+  return Buffer.concat(out);
+}
+
+const PNG_DROP = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+function stripPng(buf) {
+  const out = [buf.subarray(0, 8)];
+  let i = 8;
+  while (i + 12 <= buf.length) {
+    const len = buf.readUInt32BE(i);
+    const type = buf.toString('latin1', i + 4, i + 8);
+    const end = i + 12 + len;
+    if (end > buf.length) throw new Error('Corrupt PNG');
+    if (!PNG_DROP.has(type)) out.push(buf.subarray(i, end));
+    i = end;
+    if (type === 'IEND') break;
+  }
+  return Buffer.concat(out);
+}
+
+function stripWebp(buf) {
+  const out = [];
+  let i = 12;
+  while (i + 8 <= buf.length) {
+    const type = buf.toString('latin1', i, i + 4);
+    const len = buf.readUInt32LE(i + 4);
+    const end = i + 8 + len + (len % 2);
+    if (i + 8 + len > buf.length) throw new Error('Corrupt WebP');
+    if (type !== 'EXIF' && type !== 'XMP ') {
+      const chunk = Buffer.from(buf.subarray(i, Math.min(end, buf.length)));
+      if (type === 'VP8X' && len >= 1) chunk[8] &= ~(0x08 | 0x04); // clear EXIF + XMP flags
+      out.push(chunk);
+    }
+    i = end;
+  }
+  const body = Buffer.concat(out);
+  const head = Buffer.alloc(12);
+  head.write('RIFF', 0, 'latin1');
+  head.writeUInt32LE(body.length + 4, 4);
+  head.write('WEBP', 8, 'latin1');
+  return Buffer.concat([head, body]);
+}
+
+// throws on corrupt images so they are rejected instead of stored half-cleaned
+function stripMetadata(buf, mime) {
+  if (mime === 'image/jpeg') return stripJpeg(buf);
+  if (mime === 'image/png') return stripPng(buf);
+  if (mime === 'image/webp') return stripWebp(buf);
+  return buf;
+}
+
+module.exports = { TYPES, sniffType, stripMetadata };
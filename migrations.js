@@ -0,0 +1,358 @@
+'use strict';
+/**
+ * migrations.js (Node ONLY) — versioned schema + startup migration runner
+ * - current version lives in the store: meta/{ id: 'schema', version }
+ * - each migration runs once, in order, then bumps the version
+ * - a migration first builds its full list of writes; anything it can't understand
+ *   throws BEFORE a single record is written, so the server refuses to boot instead
+ *   of starting on half-imported history
+ */
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS = [
+  { version: 1, name: 'whole-file users/threads/messages json', plan: planWholeFileJson },
+  { version: 2, name: 'legacy global/dms/groups/social json', plan: planLegacyFiles },
+  { version: 3, name: 'global thread -> default public channel', plan: planGlobalToChannel },
+  { version: 4, name: 'seed content filter rules', plan: planSeedFilterRules },
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function fail(file, why) { throw new Error(`Cannot migrate ${file}: ${why}`); }
+
+// unlike server-side readJson, a file that exists but doesn't parse is an error, not "empty"
+function readDataFile(ctx, file, fallback) {
+  const p = path.join(ctx.dataDir, file);
+  if (!fs.existsSync(p)) return fallback;
+  const raw = fs.readFileSync(p, 'utf8');
+  if (!raw.trim()) return fallback;
+  try { return JSON.parse(raw); } catch (e) { return fail(file, 'invalid JSON (' + e.message + ')'); }
+}
+
+// a bcrypt hash with a cost bcryptjs accepts; anything else would make the login compare throw
+const BCRYPT_RE = /^\$2[aby]\$(0[4-9]|[12]\d|3[01])\$[./A-Za-z0-9]{53}$/;
+
+function isObj(v) { return !!v && typeof v === 'object' && !Array.isArray(v); }
+
+function toTime(v, fallback) {
+  if (typeof v === 'number' && isFinite(v) && v > 0) return v < 1e12 ? Math.round(v * 1000) : v; // seconds -> ms
+  if (typeof v === 'string' && v.trim()) {
+    const n = Number(v);
+    if (isFinite(n)) return toTime(n, fallback);
+    const d = Date.parse(v);
+    if (!isNaN(d)) return d;
+  }
+  return fallback;
+}
+
+function pickStr(raw, keys) {
+  for (const k of keys) {
+    if (typeof raw[k] === 'string' && raw[k].trim()) return raw[k];
+  }
+  return null;
+}
+
+// array, or object keyed by id/name -> [{ key, value }]
+function entries(file, data) {
+  if (Array.isArray(data)) return data.map((value, i) => ({ key: String(i), value }));
+  if (isObj(data)) return Object.entries(data).map(([key, value]) => ({ key, value }));
+  return fail(file, 'expected a JSON array or object');
+}
+
+/**
+ * Collects writes for one migration and resolves user references (ids or usernames)
+ * against both the store and users created earlier in the same plan.
+ */
+function createPlan(store, ctx) {
+  const puts = [];
+  const users = new Map(); // id -> user (planned)
+  const usersByName = new Map(); // lower username -> user (planned)
+  const warnings = [];
+
+  function existingUser(ref) {
+    const s = String(ref || '').trim();
+    if (!s) return null;
+    return users.get(s) || store.get('users', s) ||
+      usersByName.get(s.toLowerCase()) || store.findOne('users', 'byName', s.toLowerCase());
+  }
+
+  function freeUsername(wanted) {
+    let base = String(wanted || '').replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 20);
+    if (base.length < 2) base = (base + 'user').slice(0, 20);
+    let name = base;
+    let i = 0;
+    while (usersByName.has(name.toLowerCase()) || store.findOne('users', 'byName', name.toLowerCase())) {
+      i++;
+      name = base.slice(0, 20 - String(i).length - 1) + '_' + i;
+    }
+    return name;
+  }
+
+  function addUser(raw, fallbackName, file) {
+    if (!isObj(raw)) fail(file, `user "${fallbackName}" is not an object`);
+    const wanted = pickStr(raw, ['username', 'name', 'user']) || fallbackName;
+    if (!wanted) fail(file, 'user without a username');
+    const isGuest = !!(raw.isGuest || raw.guest);
+    let passHash = pickStr(raw, ['passHash', 'passwordHash', 'hash']);
+    if (passHash && !BCRYPT_RE.test(passHash)) {
+      warnings.push(`${file}: dropped an unusable password hash for "${wanted}"`);
+      passHash = null;
+    }
+    const plain = pickStr(raw, ['password', 'pass']);
+    if (!passHash && plain) passHash = BCRYPT_RE.test(plain) ? plain : ctx.hashPassword(plain);
+    const id = (typeof raw.id === 'string' && raw.id && !store.get('users', raw.id) && !users.has(raw.id))
+      ? raw.id : ctx.uid(isGuest ? 'g_' : 'u_');
+    const username = freeUsername(wanted);
+    const user = {
+      id,
+      username,
+      passHash: passHash || null,
+      bio: String(raw.bio || '').slice(0, 240),
+      statusText: String(raw.statusText || raw.status || '').slice(0, 64),
+      presence: 'online',
+      badges: Array.isArray(raw.badges) ? raw.badges.map(String) : [],
+      friends: [],
+      blocked: [],
+      friendRequestsIn: [],
+      friendRequestsOut: [],
+      isGuest,
+      createdAt: toTime(raw.createdAt || raw.created || raw.joined, Date.now()),
+      color: typeof raw.color === 'string' ? raw.color : ctx.stableColor(username),
+    };
+    if (username !== wanted) warnings.push(`${file}: renamed "${wanted}" to "${username}"`);
+    users.set(user.id, user);
+    usersByName.set(username.toLowerCase(), user);
+    puts.push(['users', user]);
+    return user;
+  }
+
+  // senders / members that never had an account still keep their history
+  function userRef(ref, file) {
+    const found = existingUser(ref);
+    if (found) return found;
+    const name = String(ref || '').trim();
+    if (!name) fail(file, 'empty user reference');
+    const u = addUser({ username: name, isGuest: true }, name, file);
+    u.legacy = true;
+    return u;
+  }
+
+  function addMessage(raw, threadId, file) {
+    if (typeof raw === 'string') fail(file, 'message is a bare string (no sender)');
+    if (!isObj(raw)) fail(file, 'message is not an object');
+    const content = pickStr(raw, ['content', 'text', 'message', 'msg', 'body']);
+    const senderRef = pickStr(raw, ['senderId', 'senderName', 'username', 'user', 'from', 'sender', 'author']);
+    if (content === null) fail(file, 'message without text');
+    if (!senderRef) fail(file, 'message without sender');
+    const sender = userRef(senderRef, file);
+    const createdAt = toTime(raw.createdAt || raw.time || raw.ts || raw.timestamp || raw.at, 0);
+    const id = (typeof raw.id === 'string' && raw.id && !store.get('messages', raw.id)) ? raw.id : ctx.uid('m_');
+    const msg = {
+      id,
+      threadId,
+      senderId: sender.id,
+      senderName: sender.username,
+      senderColor: sender.color,
+      content: String(content).slice(0, 1500),
+      type: raw.type === 'announcement' ? 'announcement' : 'message',
+      meta: null,
+      clientId: null,
+      createdAt,
+      editedAt: raw.editedAt || raw.edited ? toTime(raw.editedAt, createdAt) : null,
+      deletedAt: raw.deletedAt || raw.deleted ? toTime(raw.deletedAt, createdAt) : null,
+    };
+    return msg;
+  }
+
+  // messages must land in chronological order so the per-thread index stays sorted
+  function addMessages(list, threadId, file) {
+    if (!Array.isArray(list)) fail(file, 'messages must be an array');
+    const msgs = list.map(raw => addMessage(raw, threadId, file));
+    msgs.sort((a, b) => a.createdAt - b.createdAt);
+    for (const m of msgs) puts.push(['messages', m]);
+    return msgs.length;
+  }
+
+  function addThread(t) { puts.push(['threads', t]); return t; }
+
+  return { puts, warnings, users, existingUser, addUser, userRef, addMessages, addThread };
+}
+
+// v1: the whole-file arrays written before storage.js (users.json may also be `{}` / keyed by name)
+function planWholeFileJson(store, ctx) {
+  const plan = createPlan(store, ctx);
+
+  const users = readDataFile(ctx, 'users.json', []);
+  for (const { key, value } of entries('users.json', users)) {
+    if (isObj(value) && value.id && store.get('users', value.id)) continue;
+    if (isObj(value) && value.id && value.username && value.createdAt) {
+      if (value.passHash != null && !(typeof value.passHash === 'string' && BCRYPT_RE.test(value.passHash))) {
+        plan.warnings.push(`users.json: dropped an unusable password hash for "${value.username}"`);
+        value.passHash = null;
+      }
+      plan.puts.push(['users', value]);
+      continue;
+    }
+    plan.addUser(value, Array.isArray(users) ? null : key, 'users.json');
+  }
+
+  for (const [col, file] of [['threads', 'threads.json'], ['messages', 'messages.json']]) {
+    const list = readDataFile(ctx, file, []);
+    if (!Array.isArray(list)) fail(file, 'expected a JSON array');
+    for (const rec of list) {
+      if (!isObj(rec) || !rec.id) fail(file, 'record without id');
+    }
+    // same as addMessages: the per-thread index has to come out in chronological order
+    if (col === 'messages') list.sort((a, b) => toTime(a.createdAt, 0) - toTime(b.createdAt, 0));
+    for (const rec of list) {
+      if (!store.get(col, rec.id)) plan.puts.push([col, rec]);
+    }
+  }
+  return plan;
+}
+
+function memberRefs(raw) {
+  for (const k of ['members', 'users', 'participants']) {
+    if (Array.isArray(raw[k])) return raw[k];
+  }
+  return null;
+}
+
+function dmThreadFor(plan, store, aId, bId, ctx, createdAt) {
+  const has = (t) => t.type === 'dm' && Array.isArray(t.members) && t.members.length === 2 &&
+    t.members.includes(aId) && t.members.includes(bId);
+  const existing = store.find('threads', 'byMember', aId).find(has) ||
+    plan.puts.filter(([c, t]) => c === 'threads' && has(t)).map(([, t]) => t)[0];
+  if (existing) return existing;
+  return plan.addThread({ id: ctx.uid('t_'), type: 'dm', name: '', members: [aId, bId], createdBy: aId, createdAt });
+}
+
+// where global.json history goes: the global thread (v3 turns it into the default channel), or
+// today's default channel when the store has no global thread. Created if neither exists yet
+function globalThreadFor(plan, store) {
+  return store.get('threads', 'global') ||
+    store.find('threads', 'byType', 'channel').find(t => t.isDefault) ||
+    plan.addThread({ id: 'global', type: 'global', name: 'Global', createdBy: null, createdAt: Date.now() });
+}
+
+// v2: the pre-threads layout (global.json, dms.json, groups.json, social.json)
+function planLegacyFiles(store, ctx) {
+  const plan = createPlan(store, ctx);
+
+  // global.json: [msg] | { messages: [msg] } | { id: msg }
+  const global = readDataFile(ctx, 'global.json', []);
+  const globalList = isObj(global) && Array.isArray(global.messages) ? global.messages : entries('global.json', global).map(e => e.value);
+  if (globalList.length) plan.addMessages(globalList, globalThreadFor(plan, store).id, 'global.json');
+
+  // dms.json: { "a|b": [msg] | { members, messages } } | [{ members, messages }]
+  for (const { key, value } of entries('dms.json', readDataFile(ctx, 'dms.json', {}))) {
+    const list = Array.isArray(value) ? value : (isObj(value) ? value.messages || [] : null);
+    if (!list) fail('dms.json', `conversation "${key}" is not an array or object`);
+    const refs = (isObj(value) && memberRefs(value)) || key.split(/[|:,]/).map(s => s.trim()).filter(Boolean);
+    if (refs.length !== 2) fail('dms.json', `conversation "${key}" does not name exactly two users`);
+    const a = plan.userRef(refs[0], 'dms.json');
+    const b = plan.userRef(refs[1], 'dms.json');
+    if (a.id === b.id) fail('dms.json', `conversation "${key}" is with the same user twice`);
+    const t = dmThreadFor(plan, store, a.id, b.id, ctx, toTime(isObj(value) && value.createdAt, Date.now()));
+    plan.addMessages(list, t.id, 'dms.json');
+  }
+
+  // groups.json: { id: { name, owner, members, messages } } | [{ id, name, ... }]
+  for (const { key, value } of entries('groups.json', readDataFile(ctx, 'groups.json', {}))) {
+    if (!isObj(value)) fail('groups.json', `group "${key}" is not an object`);
+    const name = String(pickStr(value, ['name', 'title']) || key).slice(0, 40);
+    const refs = memberRefs(value) || [];
+    const ownerRef = pickStr(value, ['owner', 'ownerId', 'createdBy', 'creator']) || refs[0];
+    if (!ownerRef) fail('groups.json', `group "${key}" has no owner or members`);
+    const owner = plan.userRef(ownerRef, 'groups.json');
+    const members = Array.from(new Set([owner.id, ...refs.map(r => plan.userRef(r, 'groups.json').id)]));
+    const roles = {};
+    for (const id of members) roles[id] = id === owner.id ? 'owner' : 'member';
+    const wantedId = typeof value.id === 'string' ? value.id : key;
+    const id = /^[\w-]{1,64}$/.test(wantedId) && wantedId !== 'global' && !store.get('threads', wantedId) ? wantedId : ctx.uid('t_');
+    plan.addThread({ id, type: 'group', name, members, roles, createdBy: owner.id, createdAt: toTime(value.createdAt, Date.now()) });
+    plan.addMessages(Array.isArray(value.messages) ? value.messages : [], id, 'groups.json');
+  }
+
+  // social.json: { username: { friends, blocked, requestsIn, requestsOut } }
+  for (const { key, value } of entries('social.json', readDataFile(ctx, 'social.json', {}))) {
+    if (!isObj(value)) fail('social.json', `entry "${key}" is not an object`);
+    const who = plan.existingUser(pickStr(value, ['id', 'username']) || key);
+    if (!who) { plan.warnings.push(`social.json: skipped unknown user "${key}"`); continue; }
+    const resolve = (list) => (Array.isArray(list) ? list : [])
+      .map(r => plan.existingUser(r))
+      .filter(u => u && u.id !== who.id)
+      .map(u => u.id);
+    const merge = (field, ids) => { who[field] = Array.from(new Set([...(who[field] || []), ...ids])); };
+    merge('friends', resolve(value.friends));
+    merge('blocked', resolve(value.blocked || value.blocks));
+    merge('friendRequestsIn', resolve(value.friendRequestsIn || value.requestsIn || value.incoming));
+    merge('friendRequestsOut', resolve(value.friendRequestsOut || value.requestsOut || value.outgoing));
+    if (!plan.users.has(who.id)) plan.puts.push(['users', who]);
+  }
+
+  // friendships are mutual; make sure both sides agree
+  for (const [col, u] of plan.puts.slice()) {
+    if (col !== 'users') continue;
+    for (const fid of u.friends || []) {
+      const f = plan.users.get(fid) || store.get('users', fid);
+      if (!f || (f.friends || []).includes(u.id)) continue;
+      f.friends = [...(f.friends || []), u.id];
+      if (!plan.users.has(f.id)) plan.puts.push(['users', f]);
+    }
+  }
+  return plan;
+}
+
+// v3: the single 'global' thread becomes the default channel; it keeps its id so history stays put
+function planGlobalToChannel(store, ctx) {
+  const plan = createPlan(store, ctx);
+  for (const t of store.find('threads', 'byType', 'global')) {
+    plan.addThread({ ...t, type: 'channel', name: t.name && t.name !== 'Global' ? t.name : 'global', isDefault: t.id === 'global' });
+  }
+  return plan;
+}
+
+// v4: the word list that used to be hard-coded in server.js becomes editable filter rules.
+// Frozen here: later changes to the defaults go through the admin UI, not a new seed
+const SEED_FILTER_WORDS = [
+  'fuck', 'shit', 'bitch', 'cunt', 'dick', 'pussy', 'rape',
+  'porn', 'hentai', 'xxx', 'xvideos', 'pornhub', 'onlyfans', '*nigger*',
+];
+function planSeedFilterRules(store, ctx) {
+  const plan = createPlan(store, ctx);
+  if (store.count('filterRules')) return plan;
+  const now = Date.now();
+  for (const pattern of SEED_FILTER_WORDS) {
+    plan.puts.push(['filterRules', {
+      id: ctx.uid('f_'), pattern, kind: 'word', action: 'mask', scopes: ['channel', 'group', 'dm', 'profile'],
+      enabled: true, createdBy: null, createdAt: now, updatedAt: now,
+    }]);
+  }
+  return plan;
+}
+
+/**
+ * Brings the store up to SCHEMA_VERSION. Throws (and writes nothing for the failing
+ * step) when the on-disk data is newer than this server or can't be converted.
+ * ctx: { dataDir, uid, stableColor, hashPassword, log }
+ */
+function runMigrations(store, ctx) {
+  const meta = store.get('meta', 'schema');
+  const current = meta ? Number(meta.version) || 0 : 0;
+  if (current > SCHEMA_VERSION) {
+    throw new Error(`Data schema v${current} is newer than this server understands (v${SCHEMA_VERSION}).`);
+  }
+  const log = ctx.log || (() => {});
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+    const plan = m.plan(store, ctx);
+    for (const [col, rec] of plan.puts) store.put(col, rec);
+    store.put('meta', { id: 'schema', version: m.version, migratedAt: Date.now() });
+    for (const w of plan.warnings) log('  ' + w);
+    log(`schema v${m.version}: ${m.name} (${plan.puts.length} records)`);
+  }
+  return SCHEMA_VERSION;
+}
+
+module.exports = { runMigrations, SCHEMA_VERSION };
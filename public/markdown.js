@@ -0,0 +1,160 @@
+'use strict';
+/**
+ * public/markdown.js (browser + Node) — message Markdown subset and link detection, no DOM
+ * - loaded before script.js as window.Markdown; tests require() it
+ * - parseMarkdown() returns a small tree that script.js turns into elements with text nodes only
+ *   (never innerHTML): strings are plain text, objects are { tag, cls?, text | href | children }
+ * - ```code block```, `code`, **bold**, *italic* / _italic_, ~~strike~~, ||spoiler||, backslash escapes
+ * - links are only ever http(s): href comes from URL#href, so it can't be javascript: etc
+ */
+(function(exports){
+
+// same links as server.js LINK_RE: http(s):// or www., or a bare host followed by a path
+const LINK_RE = /(?:\bhttps?:\/\/|(?<![\p{L}\p{N}@.\/-])www\.)[^\s<>]+|(?<![\p{L}\p{N}@.\/-])[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}\/[^\s<>]*/giu;
+const LINK_TRAILING = '.,;:!?)]}\'"*_~|`';
+
+// punctuation after a URL is usually prose, except a ")" closing a "(" inside it (wiki links)
+function trimLink(raw){
+  let s = raw;
+  while(s && LINK_TRAILING.includes(s[s.length-1])){
+    if(s.endsWith(')') && s.split('(').length >= s.split(')').length) break;
+    s = s.slice(0, -1);
+  }
+  return s;
+}
+
+// the browser's URL parser punycodes hosts the same way the server's does
+function parseLink(raw){
+  try{
+    const u = new URL(/^https?:\/\//i.test(raw) ? raw : 'http://' + raw);
+    if(u.protocol!=='http:' && u.protocol!=='https:') return null;
+    return { href: u.href, host: u.hostname.replace(/\.$/, '') };
+  }catch{ return null; }
+}
+
+// a link is { tag:'a', href, text }; text that looks like a link but doesn't parse stays text
+function linkNode(raw){
+  const link = parseLink(raw);
+  return link ? { tag:'a', href: link.href, text: raw } : raw;
+}
+
+// plain text with its links split out, for when formatting is turned off
+function parseLinks(text){
+  const out = [];
+  let last = 0;
+  for(const m of text.matchAll(LINK_RE)){
+    const raw = trimLink(m[0]);
+    pushText(out, text.slice(last, m.index));
+    pushNode(out, linkNode(raw));
+    last = m.index + raw.length;
+  }
+  pushText(out, text.slice(last));
+  return out;
+}
+
+const MD_INLINE = [
+  { mark:'**', tag:'strong' },
+  { mark:'~~', tag:'s' },
+  { mark:'||', tag:'span', cls:'spoiler' },
+  { mark:'*', tag:'em' },
+  { mark:'_', tag:'em', word:true }, // only at word edges, so snake_case stays as typed
+];
+const MD_MAX_DEPTH = 4;
+const MD_BLOCK_RE = /```(?:[a-zA-Z0-9+#-]{1,20}\n)?([\s\S]*?)```/g;
+
+function parseMarkdown(text){
+  const out = [];
+  let last = 0;
+  for(const m of text.matchAll(MD_BLOCK_RE)){
+    mdInline(out, text.slice(last, m.index).replace(/\n$/, ''), 0);
+    out.push({ tag:'pre', text: m[1].replace(/^\n/, '').replace(/\n$/, '') });
+    last = m.index + m[0].length;
+    if(text[last] === '\n') last++;
+  }
+  mdInline(out, text.slice(last), 0);
+  return out;
+}
+
+// adjacent text is merged, so a caller sees each run of plain text once (mentions span escapes)
+function pushText(out, s){
+  if(!s) return;
+  if(typeof out[out.length-1] === 'string') out[out.length-1] += s;
+  else out.push(s);
+}
+function pushNode(out, node){
+  if(typeof node === 'string') pushText(out, node);
+  else out.push(node);
+}
+
+function mdInline(out, s, depth){
+  let buf = '';
+  const flush = ()=>{ pushText(out, buf); buf = ''; };
+  let i = 0;
+  outer: while(i < s.length){
+    const ch = s[i];
+    if(ch==='\\' && /[\\`*_~|]/.test(s[i+1] || '')){ buf += s[i+1]; i += 2; continue; }
+    // links first, so underscores and stars inside URLs aren't read as formatting
+    const lm = /[\p{L}\p{N}]/u.test(ch) ? mdLinkAt(s, i) : null;
+    if(lm){
+      flush();
+      pushNode(out, linkNode(lm));
+      i += lm.length;
+      continue;
+    }
+    if(ch==='`'){
+      const end = s.indexOf('`', i + 1);
+      if(end > i + 1){
+        flush();
+        out.push({ tag:'code', text: s.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+    if(depth < MD_MAX_DEPTH){
+      for(const rule of MD_INLINE){
+        if(!s.startsWith(rule.mark, i)) continue;
+        const end = mdClose(s, i, rule);
+        if(end === -1) continue;
+        flush();
+        const node = { tag: rule.tag, children: [] };
+        if(rule.cls) node.cls = rule.cls;
+        mdInline(node.children, s.slice(i + rule.mark.length, end), depth + 1);
+        out.push(node);
+        i = end + rule.mark.length;
+        continue outer;
+      }
+    }
+    buf += ch;
+    i++;
+  }
+  flush();
+}
+
+const LINK_AT_RE = new RegExp(LINK_RE.source, 'iuy');
+function mdLinkAt(s, i){
+  LINK_AT_RE.lastIndex = i;
+  const m = LINK_AT_RE.exec(s);
+  return m ? trimLink(m[0]) || null : null;
+}
+
+// index of the mark closing the one at i, or -1. Content can't be empty or padded with spaces,
+// and single * / _ never pair with half of a ** (so "****" stays literal).
+function mdClose(s, i, rule){
+  const m = rule.mark;
+  const single = m.length === 1;
+  const from = i + m.length;
+  if(single && (s[from] === m || s[i-1] === m)) return -1;
+  if(rule.word && /\w/.test(s[i-1] || '')) return -1;
+  if(from >= s.length || /\s/.test(s[from])) return -1;
+  for(let j = s.indexOf(m, from); j !== -1; j = s.indexOf(m, j + 1)){
+    if(j === from || /\s/.test(s[j-1]) || s[j-1] === '\\') continue;
+    if(single && (s[j+1] === m || s[j-1] === m)) continue;
+    if(rule.word && /\w/.test(s[j+1] || '')) continue;
+    return j;
+  }
+  return -1;
+}
+
+Object.assign(exports, { LINK_RE, trimLink, parseLink, parseLinks, parseMarkdown });
+
+})(typeof module === 'object' && module.exports ? module.exports : (window.Markdown = {}));
@@ -0,0 +1,77 @@
+'use strict';
+/**
+ * public/pow.js (browser + Node) — the login proof-of-work, no DOM
+ * - loaded before script.js as window.Pow; tests require() it
+ * - find a nonce so sha256(salt + nonce) starts with `bits` zero bits (checked by authguard.js)
+ * - crypto.subtle only exists in secure contexts (https, localhost); over plain http the
+ *   plain-JS sha256() below does the same work, so a challenged user can still log in
+ */
+(function(exports){
+
+const K = new Uint32Array([
+  0x428a2f98,0x71374491,0xb5c0fbcf,0xe9b5dba5,0x3956c25b,0x59f111f1,0x923f82a4,0xab1c5ed5,
+  0xd807aa98,0x12835b01,0x243185be,0x550c7dc3,0x72be5d74,0x80deb1fe,0x9bdc06a7,0xc19bf174,
+  0xe49b69c1,0xefbe4786,0x0fc19dc6,0x240ca1cc,0x2de92c6f,0x4a7484aa,0x5cb0a9dc,0x76f988da,
+  0x983e5152,0xa831c66d,0xb00327c8,0xbf597fc7,0xc6e00bf3,0xd5a79147,0x06ca6351,0x14292967,
+  0x27b70a85,0x2e1b2138,0x4d2c6dfc,0x53380d13,0x650a7354,0x766a0abb,0x81c2c92e,0x92722c85,
+  0xa2bfe8a1,0xa81a664b,0xc24b8b70,0xc76c51a3,0xd192e819,0xd6990624,0xf40e3585,0x106aa070,
+  0x19a4c116,0x1e376c08,0x2748774c,0x34b0bcb5,0x391c0cb3,0x4ed8aa4a,0x5b9cca4f,0x682e6ff3,
+  0x748f82ee,0x78a5636f,0x84c87814,0x8cc70208,0x90befffa,0xa4506ceb,0xbef9a3f7,0xc67178f2,
+]);
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+// bytes -> 32-byte digest (FIPS 180-4)
+function sha256(bytes){
+  const len = bytes.length;
+  const padded = new Uint8Array(((len + 9 + 63) >> 6) << 6);
+  padded.set(bytes);
+  padded[len] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(len / 0x20000000));
+  view.setUint32(padded.length - 4, (len << 3) >>> 0);
+
+  const h = new Uint32Array([0x6a09e667,0xbb67ae85,0x3c6ef372,0xa54ff53a,0x510e527f,0x9b05688c,0x1f83d9ab,0x5be0cd19]);
+  const w = new Uint32Array(64);
+  for(let off = 0; off < padded.length; off += 64){
+    for(let i = 0; i < 16; i++) w[i] = view.getUint32(off + i * 4);
+    for(let i = 16; i < 64; i++){
+      const s0 = rotr(w[i-15], 7) ^ rotr(w[i-15], 18) ^ (w[i-15] >>> 3);
+      const s1 = rotr(w[i-2], 17) ^ rotr(w[i-2], 19) ^ (w[i-2] >>> 10);
+      w[i] = w[i-16] + s0 + w[i-7] + s1;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for(let i = 0; i < 64; i++){
+      const t1 = hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+      hh = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+  }
+  const out = new Uint8Array(32);
+  const outView = new DataView(out.buffer);
+  for(let i = 0; i < 8; i++) outView.setUint32(i * 4, h[i]);
+  return out;
+}
+
+function leadingZeroBits(hash, bits){
+  for(let i = 0; i < bits; i++) if(hash[i >> 3] & (0x80 >> (i & 7))) return false;
+  return true;
+}
+
+// challenge { id, salt, bits } -> { challengeId, nonce } for the login request
+async function solveChallenge(c){
+  const enc = new TextEncoder();
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  for(let nonce = 0; ; nonce++){
+    const data = enc.encode(c.salt + nonce);
+    const hash = subtle ? new Uint8Array(await subtle.digest('SHA-256', data)) : sha256(data);
+    if(leadingZeroBits(hash, c.bits)) return { challengeId: c.id, nonce: String(nonce) };
+    // the plain-JS path never awaits: give the page a frame now and then
+    if(!subtle && nonce % 4096 === 4095) await new Promise(r => setTimeout(r, 0));
+  }
+}
+
+Object.assign(exports, { sha256, solveChallenge });
+
+})(typeof module === 'object' && module.exports ? module.exports : (window.Pow = {}));
@@ -6,16 +6,45 @@
  * - Login / Register (password confirm) / Guest
  * - Settings modal (presence, status, ping sounds, global ping)
  * - Profile (bio)
- * - Threads: Global + DMs + Groups, group creation, invites via DM
+ * - Threads: public channels + DMs + Groups, group creation, invites via DM
+ * - Channels: per-channel topic, guest access, link policy and cooldown; admins create/edit/delete
  * - Online list with statuses; idle after 2 min; invisible hides from list
  * - Friend requests (non-guests) + accept/decline
  * - Block users: blurred messages + reveal button; blocked cannot DM
- * - Global chat forbids links (client-side hint; server enforces)
+ * - Link policy per channel / group: allow, deny or allowlisted domains, with exempt badges / roles
+ *   (client-side hint; server enforces); links render as safe anchors (new tab, noopener noreferrer)
  * - Dynamic loading screen, toasts, animations
- * - Cooldown bar with red shake feedback when trying to send during cooldown
+ * - Cooldown bar (per thread: channels + slow-mode groups) with red shake feedback when trying to send during cooldown
+ * - Server rate limits (per action, per user + IP): sends reuse the cooldown bar, other actions toast "slow down"
  * - Message dedupe via clientId; timestamps; edit/delete in 60s window
+ * - Moderator removal (site admins, group managers) with a reason on the tombstone, bulk removal of a user's recent
+ *   messages, and a moderation log
+ * - Edit history behind "(edited)"; moderators can open deleted messages (old versions expire after 30 days)
+ * - History paging: older messages load when scrolling to the top (before-cursor)
+ * - Search panel (text, sender, dates, mentions) with jump-to-message
+ * - Replies: quote of the parent (click to jump); deleted parents show a placeholder
+ * - Emoji reactions: toggleable chips + quick picker
+ * - Markdown subset in messages (bold, italic, strike, code, code blocks, spoilers); can be turned off in settings
+ * - @mentions: resolved by the server, highlighted, autocomplete (members / online list), mention pings
+ * - Pinned messages: pin/unpin (DMs: both sides, groups: pin permission, channels: admins) + pins panel
+ * - Unread/mention counts from the server (synced across devices) + "seen by" in DMs/small groups
+ * - Typing indicators under the topbar (aggregated in channels, blocked users hidden)
+ * - Attachments: upload on pick, image thumbnails + file cards (fetched with auth as blobs)
+ * - Group roles (owner/admin/moderator/member) with an owner-editable permission matrix
+ * - Group lifecycle: leave, remove members, transfer ownership, delete (history is purged)
+ * - Invite links (/invite/<code>) with expiry, use limits and revoke; join prompt after login
+ * - Group settings: name, description, icon (generated or uploaded), slow mode; live updates
+ * - Site moderation (admins, via the user menu): ban, mute, per-chat timeout with reason + expiry; lift
+ * - Reports: report a message (name menu) or user with a reason; admins work a queue (dismiss/delete/mute/ban)
+ * - Login protection: slower answers, then a proof-of-work check, then lockouts after repeated failures; admins see lockouts
+ * - Content filter: admin-edited word / regex rules per scope (mask, block send, flag into the report queue)
  */
 
+// link detection + the Markdown subset live in public/markdown.js (loaded first, tested in Node)
+const { LINK_RE, trimLink, parseLink, parseLinks, parseMarkdown } = window.Markdown;
+// login proof-of-work (asked for after repeated failures) lives in public/pow.js
+const { solveChallenge } = window.Pow;
+
 const $ = (sel) => document.querySelector(sel);
 const elThreads = $('#threads');
 const elMessages = $('#messages');
@@ -23,6 +52,7 @@ const elComposer = $('#composer');
 const elSendBtn = $('#sendBtn');
 const elThreadTitle = $('#threadTitle');
 const elThreadSub = $('#threadSub');
+const elThreadTyping = $('#threadTyping');
 const elThreadDot = $('#threadDot');
 const elMeName = $('#meName');
 const elMeStatus = $('#meStatus');
@@ -45,8 +75,17 @@ const elBtnProfile = $('#btnProfile');
 const elBtnAuth = $('#btnAuth');
 const elBtnNew = $('#btnNew');
 const elBtnLogout = $('#btnLogout');
+const elBtnChannel = $('#btnChannel');
 const elBtnAnnounce = $('#btnAnnounce');
 const elBtnGroup = $('#btnGroup');
+const elBtnSearch = $('#btnSearch');
+const elBtnPins = $('#btnPins');
+const elBtnReports = $('#btnReports');
+const elMentionBox = $('#mentionBox');
+const elAttachBar = $('#attachBar');
+const elFileInput = $('#fileInput');
+const elReplyBar = $('#replyBar');
+const elReplyText = $('#replyText');
 const elEnvBadge = $('#envBadge');
 
 const API = {
@@ -56,7 +95,7 @@ const API = {
   me: () => get('/api/me'),
   updateProfile: (body) => post('/api/me/profile', body),
   threads: () => get('/api/threads'),
-  messages: (threadId) => get(`/api/messages?threadId=${encodeURIComponent(threadId)}&limit=120`),
+  messages: (threadId, before) => get(`/api/messages?threadId=${encodeURIComponent(threadId)}&limit=120${before ? `&before=${encodeURIComponent(before)}` : ''}`),
   dm: (username) => post('/api/threads/dm', { username }),
   group: (name) => post('/api/threads/group', { name }),
   friendReq: (username) => post('/api/friends/request', { username }),
@@ -65,7 +104,42 @@ const API = {
   unblock: (username) => post('/api/unblock', { username }),
   invite: (groupId, userId) => post('/api/groups/invite', { groupId, userId }),
   inviteRespond: (groupId, inviterId, accept) => post('/api/groups/invite/respond', { groupId, inviterId, accept }),
-  announce: (content) => post('/api/announce', { content }),
+  groupInfo: (groupId) => get('/api/groups/info?groupId=' + encodeURIComponent(groupId)),
+  groupRole: (groupId, userId, role) => post('/api/groups/role', { groupId, userId, role }),
+  groupPermissions: (groupId, permissions) => post('/api/groups/permissions', { groupId, permissions }),
+  groupLeave: (groupId) => post('/api/groups/leave', { groupId }),
+  groupKick: (groupId, userId, ban) => post('/api/groups/kick', { groupId, userId, ban: !!ban }),
+  groupTransfer: (groupId, userId) => post('/api/groups/transfer', { groupId, userId }),
+  groupDelete: (groupId) => post('/api/groups/delete', { groupId }),
+  groupSettings: (groupId, changes) => post('/api/groups/settings', { groupId, ...changes }),
+  inviteLinks: (groupId) => get('/api/groups/invite-links?groupId=' + encodeURIComponent(groupId)),
+  inviteLinkCreate: (groupId, expiresIn, maxUses) => post('/api/groups/invite-links', { groupId, expiresIn, maxUses }),
+  inviteLinkRevoke: (code) => post('/api/groups/invite-links/revoke', { code }),
+  invitePreview: (code) => get('/api/invites/' + encodeURIComponent(code)),
+  inviteJoin: (code) => post('/api/invites/' + encodeURIComponent(code) + '/join', {}),
+  announce: (content, threadId) => post('/api/announce', { content, threadId }),
+  channelCreate: (data) => post('/api/channels', data),
+  channelUpdate: (threadId, data) => post('/api/channels/update', { threadId, ...data }),
+  channelDelete: (threadId) => post('/api/channels/delete', { threadId }),
+  pins: (threadId) => get('/api/pins?threadId=' + encodeURIComponent(threadId)),
+  messageHistory: (messageId) => get('/api/messages/history?messageId=' + encodeURIComponent(messageId)),
+  bulkDelete: (threadId, userId, since, reason) => post('/api/messages/bulk-delete', { threadId, userId, since, reason }),
+  modLog: (threadId) => get('/api/modlog' + (threadId ? '?threadId=' + encodeURIComponent(threadId) : '')),
+  sanction: (data) => post('/api/admin/sanctions', data),
+  sanctions: (userId) => get('/api/admin/sanctions?userId=' + encodeURIComponent(userId)),
+  sanctionLift: (sanctionId) => post('/api/admin/sanctions/lift', { sanctionId }),
+  report: (data) => post('/api/reports', data),
+  reports: (status) => get('/api/admin/reports?status=' + encodeURIComponent(status)),
+  reportResolve: (reportId, action, extra) => post('/api/admin/reports/resolve', { reportId, action, ...extra }),
+  lockouts: () => get('/api/admin/lockouts'),
+  lockoutClear: (key) => post('/api/admin/lockouts/clear', { key }),
+  filterRules: () => get('/api/admin/filter'),
+  filterCreate: (data) => post('/api/admin/filter', data),
+  filterUpdate: (ruleId, data) => post('/api/admin/filter/update', { ruleId, ...data }),
+  filterDelete: (ruleId) => post('/api/admin/filter/delete', { ruleId }),
+  filterTest: (text, scope) => post('/api/admin/filter/test', { text, scope }),
+  search: (params) => get('/api/search?' + new URLSearchParams(params).toString()),
+  upload: (threadId, file) => upload(`/api/uploads?threadId=${encodeURIComponent(threadId)}&name=${encodeURIComponent(file.name)}`, file),
 };
 
 function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
@@ -76,41 +150,72 @@ function fmtTime(ts){
   const mm = String(d.getMinutes()).padStart(2,'0');
   return `${hh}:${mm}`;
 }
+function fmtDateTime(ts){
+  const d = new Date(ts);
+  return d.toLocaleDateString() + ' ' + fmtTime(ts);
+}
 function clamp(n,a,b){ return Math.max(a, Math.min(b,n)); }
 
+const QUICK_EMOJI = ['👍','❤️','😂','😮','😢','🔥','🍜','🎉'];
+
 let state = {
   token: localStorage.getItem('tko_token') || null,
   user: null,
   threads: [],
-  activeThreadId: 'global',
+  activeThreadId: null, // the server's default channel once threads load
   socket: null,
   online: [],
   blockedIds: new Set(),
   friends: new Set(),
   friendRequestsIn: new Set(),
   friendRequestsOut: new Set(),
-  pendingPing: new Map(), // threadId -> count
+  pendingPing: new Map(), // threadId -> unread count (server-seeded, live-incremented)
+  mentionPing: new Map(), // threadId -> unread mentions of me
+  receipts: new Map(), // userId -> { username, messageId } for the active thread
+  lastReadSent: '',
+  typing: new Map(), // threadId -> [{ id, username }]
+  typingSentAt: 0,
+  typingThreadId: null,
+  history: { threadId: null, oldestId: null, hasMore: false, loading: false },
+  replyTo: null, // { id, senderName, content }
+  pendingAttachments: [], // uploaded, not yet sent (bound to the active thread)
+  inviteCode: (location.pathname.match(/^\/invite\/([A-Za-z0-9_-]{4,32})$/) || [])[1] || null, // opened via /invite/<code>
   settings: loadSettings(),
   cooldownUntil: 0,
   cooldownMs: 0,
+  cooldownThreadId: null, // cooldowns are per thread (channels, slow-mode groups)
   lastActivityAt: now(),
-  idle: false
+  idle: false,
+  joined: new Set(), // thread rooms this socket is in (their message:new already counts unread)
+  sanctions: [], // our active mutes / timeouts (a ban ends the session)
+  openReports: 0, // admins: size of the report queue
 };
 
 function loadSettings(){
   try{
     const raw = localStorage.getItem('tko_settings');
-    if(!raw) return { pingDM:true, pingGlobal:false, pingInvite:true, pingFriend:true, volume:0.25, theme:'black' };
+    if(!raw) return { pingDM:true, pingGlobal:false, pingInvite:true, pingFriend:true, pingMention:true, markdown:true, volume:0.25, theme:'black' };
     const s = JSON.parse(raw);
-    return { pingDM:!!s.pingDM, pingGlobal:!!s.pingGlobal, pingInvite:!!s.pingInvite, pingFriend:!!s.pingFriend, volume: Number(s.volume ?? 0.25), theme:'black' };
+    return { pingDM:!!s.pingDM, pingGlobal:!!s.pingGlobal, pingInvite:!!s.pingInvite, pingFriend:!!s.pingFriend, pingMention: s.pingMention ?? true, markdown: s.markdown ?? true, volume: Number(s.volume ?? 0.25), theme:'black' };
   }catch{
-    return { pingDM:true, pingGlobal:false, pingInvite:true, pingFriend:true, volume:0.25, theme:'black' };
+    return { pingDM:true, pingGlobal:false, pingInvite:true, pingFriend:true, pingMention:true, markdown:true, volume:0.25, theme:'black' };
   }
 }
 function saveSettings(){
   localStorage.setItem('tko_settings', JSON.stringify(state.settings));
 }
 
+// rate limits come back as "Cooldown:<ms>" from both REST and socket acks
+function cooldownMs(err){
+  const m = /^Cooldown:(\d+)/.exec(String(err || ''));
+  return m ? Number(m[1]) : 0;
+}
+function errorText(err){
+  const ms = cooldownMs(err);
+  if(!ms) return String(err || 'error');
+  return ms < 90_000 ? `Slow down, try again in ${Math.ceil(ms/1000)}s.` : `Slow down, try again in ${Math.ceil(ms/60_000)} min.`;
+}
+
 async function get(url){
   const r = await fetch(url, { headers: authHeaders() });
   const ct = (r.headers.get('content-type') || '').toLowerCase();
@@ -119,7 +224,7 @@ async function get(url){
 
   if(!r.ok){
     const msg = (data && data.error) ? data.error : `Request failed (${r.status})`;
-    throw new Error(msg);
+    throw Object.assign(new Error(errorText(msg)), { sanction: data && data.sanction, cooldown: cooldownMs(msg) });
   }
   return data;
 }
@@ -135,10 +240,20 @@ async function post(url, body){
 
   if(!r.ok){
     const msg = (data && data.error) ? data.error : `Request failed (${r.status})`;
-    throw new Error(msg);
+    throw Object.assign(new Error(errorText(msg)), { status: r.status, sanction: data && data.sanction, cooldown: cooldownMs(msg), challenge: data && data.challenge });
   }
   return data;
 }
+async function upload(url, file){
+  const r = await fetch(url, {
+    method:'POST',
+    headers: { 'Content-Type':'application/octet-stream', ...authHeaders() },
+    body: file
+  });
+  const data = await r.json().catch(()=> ({}));
+  if(!r.ok) throw new Error(errorText(data.error || `Upload failed (${r.status})`));
+  return data;
+}
 function authHeaders(){
   return state.token ? { Authorization: 'Bearer ' + state.token } : {};
 }
@@ -203,6 +318,18 @@ function labelRow(lbl, control){
   row.appendChild(l); row.appendChild(control);
   return row;
 }
+function checkbox(checked){
+  const c = document.createElement('input'); c.type='checkbox'; c.checked=!!checked;
+  return c;
+}
+function rowChk(lbl, chk){
+  const row = document.createElement('div'); row.className='row';
+  const l = document.createElement('label'); l.textContent = lbl;
+  const wrap = document.createElement('div'); wrap.style.display='flex'; wrap.style.alignItems='center'; wrap.style.gap='10px';
+  wrap.appendChild(chk);
+  row.appendChild(l); row.appendChild(wrap);
+  return row;
+}
 
 function escapeHtml(s){
   return String(s||'').replace(/[&<>"']/g, (m)=>({
@@ -216,14 +343,15 @@ function playPing(type){
     (type==='dm' && s.pingDM) ||
     (type==='invite' && s.pingInvite) ||
     (type==='friend' && s.pingFriend) ||
-    (type==='global' && s.pingGlobal);
+    (type==='channel' && s.pingGlobal) ||
+    (type==='mention' && s.pingMention);
   if(!enabled) return;
 
   const ctx = new (window.AudioContext || window.webkitAudioContext)();
   const osc = ctx.createOscillator();
   const gain = ctx.createGain();
   osc.type = 'sine';
-  const base = (type==='invite')? 660 : (type==='friend')? 620 : (type==='dm')? 540 : 480;
+  const base = (type==='mention')? 720 : (type==='invite')? 660 : (type==='friend')? 620 : (type==='dm')? 540 : 480;
   const second = base * 1.34;
   const t0 = ctx.currentTime;
   gain.gain.setValueAtTime(0.0001, t0);
@@ -264,25 +392,56 @@ function renderHeaderButtons(){
 }
 
 function setActiveThread(id){
+  if(state.activeThreadId !== id){ setReplyTo(null); stopTyping(); clearPendingAttachments(); }
   state.activeThreadId = id;
+  elCooldownBar.classList.toggle('show', id === state.cooldownThreadId && state.cooldownUntil > now());
   state.pendingPing.set(id, 0);
+  state.mentionPing.set(id, 0);
   renderThreads();
-  loadThread(id);
+  return loadThread(id);
+}
+
+// shown before login / until /api/threads answers; not a real thread, so it has no id
+const PLACEHOLDER_CHANNEL = { id:null, type:'channel', name:'global', isDefault:true, policy:{ guests:'write', links:{ mode:'deny', domains:[], exempt:[] } } };
+function defaultThreadId(){
+  return (state.threads.find(t => t.isDefault) || state.threads.find(t => t.type==='channel') || PLACEHOLDER_CHANNEL).id;
 }
+function isAdmin(){ return !!state.user && !state.user.isGuest && (state.user.badges || []).includes('ADMIN'); }
 
 function threadDisplayName(t){
-  if(t.type==='global') return '# global';
+  if(t.type==='channel') return '# ' + (t.name || 'channel');
   if(t.type==='dm') return '@ ' + (t.name || 'DM');
   if(t.type==='group') return '✦ ' + (t.name || 'Group');
   return t.name || 'Chat';
 }
 
+// uploaded image, or the first letter on the generated color
+function buildGroupIcon(t){
+  const icon = document.createElement('div');
+  icon.className = 'groupIcon';
+  const ic = t.icon || {};
+  icon.style.background = ic.color || 'rgba(255,255,255,.08)';
+  icon.textContent = (t.name || 'G').trim().charAt(0).toUpperCase();
+  if(ic.type==='upload' && ic.uploadId){
+    attachmentUrl(ic.uploadId).then(url => {
+      icon.textContent = '';
+      icon.style.backgroundImage = `url("${url}")`;
+    }).catch(()=>{});
+  }
+  return icon;
+}
+
+function fmtSlowMode(sec){
+  if(sec >= 60) return Math.round(sec/60) + ' min';
+  return sec + 's';
+}
+
 function updateThreadTopbar(thread){
   elThreadTitle.textContent = threadDisplayName(thread);
   elThreadSub.textContent =
-    thread.type==='global' ? 'No links allowed • Cooldown enforced' :
+    thread.type==='channel' ? channelSubtitle(thread) :
     thread.type==='dm' ? 'Direct messages • Links allowed' :
-    thread.type==='group' ? 'Group chat • Invites via friends' : 'Chat';
+    thread.type==='group' ? [thread.description || 'Group chat', thread.slowMode ? 'Slow mode ' + fmtSlowMode(thread.slowMode) : ''].filter(Boolean).join(' • ') : 'Chat';
 
   // threadDot color hint
   const cls = ['online','idle','dnd','invisible','offline'];
@@ -291,14 +450,106 @@ function updateThreadTopbar(thread){
 
   // group button
   elBtnGroup.style.display = (thread.type==='group') ? '' : 'none';
+  elBtnChannel.style.display = isAdmin() ? '' : 'none';
+  renderReportsBtn();
+  renderTyping();
+}
+
+function channelSubtitle(t){
+  const p = t.policy || {};
+  const cd = state.user?.isGuest ? p.cooldownGuest : p.cooldownUser;
+  const parts = [t.topic || '', linkPolicyLabel(p.links), cd ? `Cooldown ${Math.round(cd/100)/10}s` : ''];
+  if(state.user?.isGuest && p.guests==='read') parts.push('Read-only for guests');
+  return parts.filter(Boolean).join(' • ');
+}
+
+// link policies (mirrors server.js): channels exempt badges, groups exempt roles, DMs allow all
+const CHANNEL_LINK_EXEMPT = [['ADMIN','Admins'],['ANNOUNCEMENT','Announcers']];
+const GROUP_LINK_EXEMPT = [['owner','Owner'],['admin','Admins'],['moderator','Moderators']];
+
+function linkPolicyLabel(lp){
+  if(!lp || lp.mode==='deny') return 'No links allowed';
+  if(lp.mode==='allowlist') return 'Links: ' + lp.domains.join(', ');
+  return 'Links allowed';
+}
+
+function linkBlockedReason(t, text){
+  const lp = t?.type==='channel' ? t.policy?.links : t?.type==='group' ? t.links : null;
+  if(!lp || lp.mode==='allow' || !state.user) return null;
+  const exempt = lp.exempt || [];
+  if(t.type==='channel' && exempt.some(b => (state.user.badges || []).includes(b))) return null;
+  if(t.type==='group' && exempt.includes(groupRoleOf(t, state.user.id))) return null;
+  for(const m of text.matchAll(LINK_RE)){
+    const raw = trimLink(m[0]);
+    const link = parseLink(raw);
+    if(!link && !/^(?:https?:\/\/|www\.)/i.test(raw)) continue;
+    const host = link ? link.host : '';
+    if(lp.mode==='allowlist' && host && lp.domains.some(d => host===d || host.endsWith('.' + d))) continue;
+    return lp.mode==='deny' ? 'Links are not allowed here.' : `Links to ${host || 'that site'} are not allowed here.`;
+  }
+  return null;
+}
+
+// mode select + domain list + exempt checkboxes; value() gives the policy the API expects
+function buildLinkPolicyEdit(lp, exemptChoices){
+  lp = lp || { mode:'deny', domains:[], exempt:[] };
+  const wrap = document.createElement('div');
+  const mode = select([['allow','Allow all links'],['deny','No links'],['allowlist','Only these domains']], lp.mode);
+  const domains = input('example.com, docs.example.org', 'text', (lp.domains || []).join(', '));
+  const domainsRow = labelRow('Allowed domains', domains);
+  const sync = ()=>{ domainsRow.style.display = mode.value==='allowlist' ? '' : 'none'; };
+  mode.addEventListener('change', sync);
+  sync();
+  const checks = exemptChoices.map(([v,l]) => [v, l, checkbox((lp.exempt || []).includes(v))]);
+  wrap.appendChild(labelRow('Links', mode));
+  wrap.appendChild(domainsRow);
+  for(const [, l, c] of checks) wrap.appendChild(rowChk('Exempt: ' + l, c));
+  return {
+    el: wrap,
+    value: ()=> ({ mode: mode.value, domains: domains.value, exempt: checks.filter(([,,c]) => c.checked).map(([v]) => v) }),
+  };
+}
+
+// typing indicators
+function renderTyping(){
+  const users = (state.typing.get(state.activeThreadId) || [])
+    .filter(u => !(state.user && u.id === state.user.id) && !state.blockedIds.has(u.id));
+  const names = users.map(u => u.username);
+  let text = '';
+  if(names.length === 1) text = `${names[0]} is typing…`;
+  else if(names.length > 1 && state.threads.find(t => t.id === state.activeThreadId)?.type === 'channel') text = 'Several people are typing…';
+  else if(names.length === 2) text = `${names[0]} and ${names[1]} are typing…`;
+  else if(names.length === 3) text = `${names[0]}, ${names[1]} and ${names[2]} are typing…`;
+  else if(names.length > 3) text = 'Several people are typing…';
+  elThreadTyping.textContent = text;
+}
+
+let typingStopTimer = null;
+function typingTick(){
+  if(!state.socket || !state.user) return;
+  if(!elComposer.value.trim()) return stopTyping();
+  const threadId = state.activeThreadId;
+  if(state.typingThreadId !== threadId || now() - state.typingSentAt > 2500){
+    state.typingThreadId = threadId;
+    state.typingSentAt = now();
+    state.socket.emit('typing:start', { threadId });
+  }
+  clearTimeout(typingStopTimer);
+  typingStopTimer = setTimeout(stopTyping, 4000);
+}
+function stopTyping(){
+  clearTimeout(typingStopTimer);
+  if(state.typingThreadId && state.socket) state.socket.emit('typing:stop', { threadId: state.typingThreadId });
+  state.typingThreadId = null;
+  state.typingSentAt = 0;
 }
 
 function renderThreads(){
   elThreads.innerHTML = '';
   const threads = state.threads.slice().sort((a,b)=>{
-    if(a.id==='global') return -1;
-    if(b.id==='global') return 1;
-    if(a.type!==b.type) return (a.type==='dm'?-1:1);
+    if(a.isDefault !== b.isDefault) return a.isDefault ? -1 : 1;
+    const order = { channel:0, dm:1, group:2 };
+    if(a.type!==b.type) return (order[a.type] ?? 3) - (order[b.type] ?? 3);
     return (a.name||'').localeCompare(b.name||'');
   });
 
@@ -309,11 +560,20 @@ function renderThreads(){
     const name = document.createElement('div');
     name.className = 'threadName';
     name.textContent = threadDisplayName(t);
+    if(t.type==='group'){
+      row.appendChild(buildGroupIcon(t));
+      name.textContent = t.name || 'Group'; // the icon replaces the ✦ marker
+    }
 
     const ping = document.createElement('div');
     ping.className = 'ping';
     const cnt = state.pendingPing.get(t.id) || 0;
-    if(cnt>0){ ping.classList.add('show'); ping.textContent = String(cnt); }
+    const mentions = state.mentionPing.get(t.id) || 0;
+    if(cnt>0){
+      ping.classList.add('show');
+      if(!mentions && t.type!=='dm') ping.classList.add('soft');
+      ping.textContent = (mentions ? '@' : '') + (cnt >= 100 ? '99+' : String(cnt));
+    }
 
     row.appendChild(name);
     row.appendChild(ping);
@@ -340,13 +600,33 @@ function renderMessages(msgs){
   setTimeout(scrollToBottom, 0);
 }
 
+// older history goes above what's already rendered; keep the viewport where it was
+function prependMessages(msgs){
+  const frag = document.createDocumentFragment();
+  for(const m of msgs){
+    const el = buildMessageEl(m);
+    if(el) frag.appendChild(el);
+  }
+  const prevHeight = elMessages.scrollHeight;
+  const prevTop = elMessages.scrollTop;
+  elMessages.insertBefore(frag, elMessages.firstChild);
+  elMessages.scrollTop = prevTop + (elMessages.scrollHeight - prevHeight);
+}
+
 function isBlockedMessage(m){
   return state.blockedIds.has(m.senderId);
 }
 
 function addMessageToUI(m, initial=false){
+  const wrap = buildMessageEl(m);
+  if(!wrap) return;
+  elMessages.appendChild(wrap);
+  if(!initial) scrollToBottom();
+}
+
+function buildMessageEl(m){
   const key = messageKey(m);
-  if(messageIndex.has(key)) return; // client-side dedupe (extra)
+  if(messageIndex.has(key)) return null; // client-side dedupe (extra)
   messageIndex.set(key, m.id);
 
   const wrap = document.createElement('div');
@@ -354,6 +634,7 @@ function addMessageToUI(m, initial=false){
 
   if(m.type==='announcement') wrap.classList.add('announcement');
   if(isBlockedMessage(m)) wrap.classList.add('blocked');
+  if(!m.deletedAt && mentionsMe(m)) wrap.classList.add('mention');
 
   wrap.dataset.mid = m.id;
 
@@ -373,22 +654,62 @@ function addMessageToUI(m, initial=false){
   nm.className = 'msgName';
   nm.textContent = m.senderName || 'user';
   nm.style.color = m.senderColor || '';
-  nm.addEventListener('contextmenu', (e)=> userContextMenu(e, { id:m.senderId, username:m.senderName }));
+  nm.addEventListener('contextmenu', (e)=> userContextMenu(e, { id:m.senderId, username:m.senderName }, m));
 
   const time = document.createElement('div');
   time.className = 'msgTime';
-  time.textContent = fmtTime(m.createdAt) + (m.editedAt ? ' (edited)' : '');
+  time.textContent = fmtTime(m.createdAt);
+  if(m.editedAt && !m.deletedAt) time.appendChild(editedMark(m.id));
 
   hdr.appendChild(nm);
   hdr.appendChild(time);
+  const pinMark = document.createElement('div');
+  pinMark.className = 'pinMark';
+  pinMark.textContent = '📌';
+  pinMark.title = 'Pinned';
+  hdr.appendChild(pinMark);
+  if(isPinned(m.threadId, m.id)) wrap.classList.add('pinned');
+
+  if(state.user && !m.deletedAt && (m.type==='message' || m.type==='announcement')){
+    const rep = document.createElement('button');
+    rep.className = 'msgAct';
+    rep.textContent = '↩ Reply';
+    rep.addEventListener('click', ()=> setReplyTo(m));
+    hdr.appendChild(rep);
+
+    const react = document.createElement('button');
+    react.className = 'msgAct';
+    react.textContent = '＋😀';
+    react.title = 'React';
+    react.addEventListener('click', (e)=>{ e.stopPropagation(); openEmojiPicker(e, m.id); });
+    hdr.appendChild(react);
+
+    if(canPinIn(state.threads.find(t => t.id === m.threadId))){
+      const pin = document.createElement('button');
+      pin.className = 'msgAct';
+      pin.textContent = '📌';
+      pin.title = 'Pin / unpin';
+      pin.addEventListener('click', ()=> togglePin(m.threadId, m.id));
+      hdr.appendChild(pin);
+    }
+  }
 
   const body = document.createElement('div');
   body.className = 'msgBody';
-  body.textContent = m.deletedAt ? '[deleted]' : (m.content || '');
+  if(m.deletedAt) fillDeleted(body, m.threadId, m.id, m);
+  else fillBody(body, m.content || '', m.mentions);
 
   col.appendChild(hdr);
+  if(m.reply) col.appendChild(buildQuote(m.threadId, m.reply));
   col.appendChild(body);
 
+  if(!m.deletedAt && (m.attachments || []).length) col.appendChild(buildAttachments(m.attachments));
+
+  const reactions = document.createElement('div');
+  reactions.className = 'reactions';
+  renderReactions(reactions, m.id, m.deletedAt ? {} : m.reactions);
+  col.appendChild(reactions);
+
   // system/invite/friend_request
   if(m.type==='invite' && m.meta && m.meta.groupId){
     const card = document.createElement('div'); card.className='cardInline';
@@ -409,7 +730,8 @@ function addMessageToUI(m, initial=false){
       }catch(e){ toast('Invite failed', e.message); }
     });
     rightbtns.appendChild(accept); rightbtns.appendChild(decline);
-    card.appendChild(lefttxt); card.appendChild(rightbtns);
+    rightbtns.className = 'inviteBtns';
+    card.appendChild(lefttxt); card.appendChild(m.meta.closed ? inviteClosedNote(m.meta.closed) : rightbtns);
     col.appendChild(card);
   }
 
@@ -456,60 +778,601 @@ function addMessageToUI(m, initial=false){
   // message actions (edit/delete) — only your messages within 60s
   if(state.user && m.senderId === state.user.id && !m.deletedAt){
     wrap.addEventListener('dblclick', ()=> openEditMessage(m));
+  } else if(state.user && !m.deletedAt && m.type==='message' && canRemoveMessage(m)){
+    wrap.addEventListener('dblclick', ()=> openRemoveMessage(m));
   }
 
-  elMessages.appendChild(wrap);
-  if(!initial) scrollToBottom();
+  return wrap;
+}
+
+// invites are single use: answered, or revoked when the member leaves / is removed
+const INVITE_CLOSED_LABEL = { accepted:'Accepted', declined:'Declined', revoked:'No longer valid' };
+function inviteClosedNote(closed){
+  return Object.assign(document.createElement('div'), { className:'msgNote', textContent: INVITE_CLOSED_LABEL[closed] || closed });
+}
+
+function buildQuote(threadId, reply){
+  const q = document.createElement('div');
+  q.className = 'msgQuote';
+  q.dataset.replyTo = reply.id;
+  fillQuote(q, reply);
+  q.addEventListener('click', ()=>{
+    if(!q.classList.contains('deleted')) jumpToMessage(threadId, reply.id);
+  });
+  return q;
+}
+function fillQuote(q, reply){
+  q.innerHTML = '';
+  q.classList.toggle('deleted', !!reply.deleted);
+  if(reply.deleted){
+    q.textContent = '↪ Original message was deleted';
+    return;
+  }
+  const who = document.createElement('b');
+  who.textContent = reply.senderName || 'user';
+  if(reply.senderColor) who.style.color = reply.senderColor;
+  q.appendChild(document.createTextNode('↪ '));
+  q.appendChild(who);
+  q.appendChild(document.createTextNode(' ' + (reply.content || '')));
+}
+
+// attachments
+const attachmentUrls = new Map(); // id -> Promise<objectURL>
+function attachmentUrl(id){
+  if(!attachmentUrls.has(id)){
+    const p = fetch('/api/uploads/' + encodeURIComponent(id), { headers: authHeaders() })
+      .then(r => { if(!r.ok) throw new Error('Not available'); return r.blob(); })
+      .then(b => URL.createObjectURL(b));
+    p.catch(()=> attachmentUrls.delete(id));
+    attachmentUrls.set(id, p);
+  }
+  return attachmentUrls.get(id);
+}
+
+function fmtSize(n){
+  if(n < 1024) return n + ' B';
+  if(n < 1024*1024) return (n/1024).toFixed(0) + ' KB';
+  return (n/1024/1024).toFixed(1) + ' MB';
+}
+
+function buildAttachments(list){
+  const box = document.createElement('div');
+  box.className = 'attachments';
+  for(const a of list){
+    if(a.kind==='image'){
+      const img = document.createElement('img');
+      img.className = 'attImg';
+      img.alt = a.name;
+      img.loading = 'lazy';
+      attachmentUrl(a.id).then(url => { img.src = url; }).catch(()=> { img.alt = a.name + ' (unavailable)'; });
+      img.addEventListener('click', ()=> attachmentUrl(a.id).then(url => window.open(url, '_blank', 'noopener')).catch(()=>{}));
+      box.appendChild(img);
+      continue;
+    }
+    const card = document.createElement('div');
+    card.className = 'fileCard';
+    const meta = document.createElement('div');
+    meta.style.minWidth = '0';
+    const nm = document.createElement('div'); nm.className='fileName'; nm.textContent = '📄 ' + a.name;
+    const sz = document.createElement('div'); sz.className='msgNote'; sz.textContent = fmtSize(a.size || 0);
+    meta.appendChild(nm); meta.appendChild(sz);
+    const dl = btn('Download','btn', async ()=>{
+      try{
+        const url = await attachmentUrl(a.id);
+        const link = document.createElement('a');
+        link.href = url; link.download = a.name;
+        document.body.appendChild(link); link.click(); link.remove();
+      }catch(e){ toast('Download failed', e.message); }
+    });
+    card.appendChild(meta); card.appendChild(dl);
+    box.appendChild(card);
+  }
+  return box;
+}
+
+function renderAttachBar(){
+  elAttachBar.innerHTML = '';
+  elAttachBar.classList.toggle('show', state.pendingAttachments.length > 0);
+  for(const a of state.pendingAttachments){
+    const chip = document.createElement('div');
+    chip.className = 'attachChip';
+    chip.textContent = `${a.kind==='image' ? '🖼' : '📄'} ${a.name} (${fmtSize(a.size)})`;
+    const x = document.createElement('button');
+    x.textContent = '✕';
+    x.title = 'Remove';
+    x.addEventListener('click', ()=>{
+      state.pendingAttachments = state.pendingAttachments.filter(p => p.id !== a.id);
+      renderAttachBar();
+    });
+    chip.appendChild(x);
+    elAttachBar.appendChild(chip);
+  }
+}
+function clearPendingAttachments(){
+  state.pendingAttachments = [];
+  renderAttachBar();
+}
+
+async function uploadFiles(files){
+  if(!state.user) return openAuthModal();
+  if(state.user.isGuest) return toast('Guests cannot send files','Register to attach files.');
+  const threadId = state.activeThreadId;
+  for(const file of files){
+    if(state.pendingAttachments.length >= 4){ toast('Max 4 attachments'); break; }
+    try{
+      toast('Uploading…', file.name);
+      const r = await API.upload(threadId, file);
+      if(state.activeThreadId !== threadId) return;
+      state.pendingAttachments.push(r.attachment);
+      renderAttachBar();
+    }catch(e){ toast('Upload failed', `${file.name}: ${e.message}`); }
+  }
+}
+
+// reactions
+function renderReactions(el, messageId, reactions){
+  el.innerHTML = '';
+  for(const [emoji, users] of Object.entries(reactions || {})){
+    if(!Array.isArray(users) || !users.length) continue;
+    const mine = !!state.user && users.includes(state.user.id);
+    const chip = document.createElement('button');
+    chip.className = 'reactChip' + (mine ? ' mine' : '');
+    chip.textContent = `${emoji} ${users.length}`;
+    chip.addEventListener('click', ()=> toggleReaction(messageId, emoji, mine));
+    el.appendChild(chip);
+  }
+}
+
+function toggleReaction(messageId, emoji, mine){
+  if(!state.socket || !state.user) return openAuthModal();
+  state.socket.emit(mine ? 'reaction:remove' : 'reaction:add', { messageId, emoji }, (resp)=>{
+    if(resp && !resp.ok) toast('Reaction failed', errorText(resp.error));
+  });
 }
 
-function updateMessageUIEdit(messageId, content, editedAt){
-  const el = elMessages.querySelector(`[data-mid="${CSS.escape(messageId)}"]`);
+function openEmojiPicker(e, messageId){
+  hideCtx();
+  elCtx.innerHTML = '';
+  const row = document.createElement('div');
+  row.className = 'emojiRow';
+  for(const emoji of QUICK_EMOJI){
+    const b = document.createElement('button');
+    b.className = 'emojiBtn';
+    b.textContent = emoji;
+    b.addEventListener('click', ()=>{
+      hideCtx();
+      const el = messageEl(messageId);
+      const chip = el && Array.from(el.querySelectorAll('.reactChip')).find(c => c.textContent.startsWith(emoji + ' '));
+      toggleReaction(messageId, emoji, !!chip && chip.classList.contains('mine'));
+    });
+    row.appendChild(b);
+  }
+  elCtx.appendChild(row);
+  elCtx.style.left = clamp(e.clientX, 8, window.innerWidth - 340) + 'px';
+  elCtx.style.top = clamp(e.clientY, 8, window.innerHeight - 60) + 'px';
+  elCtx.classList.add('show');
+}
+
+function updateMessageUIReactions(messageId, reactions){
+  const el = messageEl(messageId);
+  const box = el && el.querySelector('.reactions');
+  if(box) renderReactions(box, messageId, reactions);
+}
+
+function setReplyTo(m){
+  state.replyTo = m ? { id:m.id, senderName:m.senderName, content:m.content } : null;
+  elReplyBar.classList.toggle('show', !!m);
+  elReplyText.textContent = m ? `Replying to ${m.senderName || 'user'}: ${(m.content || '').slice(0, 80)}` : '';
+  if(m) elComposer.focus();
+}
+
+function messageEl(messageId){
+  return elMessages.querySelector(`[data-mid="${CSS.escape(messageId)}"]`);
+}
+
+// switch thread if needed, page back until the message is rendered, then flash it
+async function jumpToMessage(threadId, messageId){
+  if(state.activeThreadId !== threadId) await setActiveThread(threadId);
+  let el = messageEl(messageId);
+  for(let i=0; !el && i<25 && state.history.hasMore && state.activeThreadId===threadId; i++){
+    await loadOlder();
+    el = messageEl(messageId);
+  }
+  if(!el) return toast('Message not found', 'It may be too old or was removed.');
+  await sleep(0); // renderMessages scrolls to bottom on the next tick
+  el.scrollIntoView({ block:'center' });
+  el.classList.add('flash');
+  setTimeout(()=> el.classList.remove('flash'), 1600);
+}
+
+// pins
+function isPinned(threadId, messageId){
+  const t = state.threads.find(x => x.id === threadId);
+  return !!t && (t.pins || []).includes(messageId);
+}
+// mirrors canPin() on the server
+function canPinIn(t){
+  if(!t || !state.user || state.user.isGuest) return false;
+  if(t.type==='dm') return true;
+  if(t.type==='group') return groupCan(t, 'pin');
+  if(t.type==='channel') return isAdmin();
+  return false;
+}
+function togglePin(threadId, messageId){
+  if(!state.socket) return;
+  const ev = isPinned(threadId, messageId) ? 'message:unpin' : 'message:pin';
+  state.socket.emit(ev, { messageId }, (resp)=>{
+    if(resp && !resp.ok) toast('Pin failed', errorText(resp.error));
+  });
+}
+function applyPins(threadId, pins){
+  const t = state.threads.find(x => x.id === threadId);
+  if(t) t.pins = pins;
+  if(threadId !== state.activeThreadId) return;
+  for(const el of elMessages.querySelectorAll('.msg')) el.classList.toggle('pinned', pins.includes(el.dataset.mid));
+}
+
+async function openPins(){
+  const threadId = state.activeThreadId;
+  const list = document.createElement('div');
+  list.className = 'searchResults';
+  openModal('Pinned messages', [list], [btn('Close','btn', closeModal)]);
+  try{
+    const data = await API.pins(threadId);
+    if(!data.pins.length){
+      const none = document.createElement('div'); none.className='msgNote'; none.textContent='Nothing pinned yet.';
+      list.appendChild(none);
+      return;
+    }
+    for(const p of data.pins){
+      const row = document.createElement('div');
+      row.className = 'searchResult';
+      const meta = document.createElement('div');
+      meta.className = 'msgNote';
+      meta.textContent = `${p.message.senderName} • ${fmtDateTime(p.message.createdAt)} • pinned by ${p.pinnedByName}`;
+      const snip = document.createElement('div');
+      snip.className = 'searchSnip';
+      snip.textContent = (p.message.content || (p.message.attachments || []).map(a => a.name).join(', ')).slice(0, 300);
+      row.appendChild(meta); row.appendChild(snip);
+      if(data.canPin){
+        const un = btn('Unpin','btn', (e)=>{ e.stopPropagation(); togglePin(threadId, p.messageId); row.remove(); });
+        un.style.marginTop = '6px';
+        row.appendChild(un);
+      }
+      row.addEventListener('click', ()=>{ closeModal(); jumpToMessage(threadId, p.messageId); });
+      list.appendChild(row);
+    }
+  }catch(e){ toast('Pins failed', e.message); }
+}
+
+function updateMessageUIEdit(messageId, content, editedAt, mentions){
+  const el = messageEl(messageId);
   if(!el) return;
   const body = el.querySelector('.msgBody');
   const time = el.querySelector('.msgTime');
-  if(body) body.textContent = content;
-  if(time){
-    // preserve hh:mm from dataset? easiest: show edited
-    time.textContent = time.textContent.replace(' (edited)','') + ' (edited)';
+  if(body) fillBody(body, content, mentions);
+  el.classList.toggle('mention', mentionsMe({ content, mentions }));
+  if(time && !time.querySelector('.msgEdited')) time.appendChild(editedMark(messageId));
+  const name = el.querySelector('.msgName')?.textContent || '';
+  for(const q of elMessages.querySelectorAll(`.msgQuote[data-reply-to="${CSS.escape(messageId)}"]`)){
+    fillQuote(q, { id:messageId, senderName:name, senderColor:el.querySelector('.msgName')?.style.color, content:String(content).slice(0,140) });
   }
 }
 
-function updateMessageUIDelete(messageId){
-  const el = elMessages.querySelector(`[data-mid="${CSS.escape(messageId)}"]`);
+function updateMessageUIDelete(messageId, removal){
+  const el = messageEl(messageId);
   if(!el) return;
+  el.querySelectorAll('.msgAct').forEach(a => a.remove());
   const body = el.querySelector('.msgBody');
-  if(body) body.textContent = '[deleted]';
+  if(body) fillDeleted(body, state.activeThreadId, messageId, removal);
+  el.querySelector('.msgEdited')?.remove();
+  el.querySelector('.attachments')?.remove();
+  const reactions = el.querySelector('.reactions');
+  if(reactions) reactions.innerHTML = '';
+  for(const q of elMessages.querySelectorAll(`.msgQuote[data-reply-to="${CSS.escape(messageId)}"]`)){
+    fillQuote(q, { id:messageId, deleted:true });
+  }
+  if(state.replyTo && state.replyTo.id === messageId) setReplyTo(null);
+}
+
+// edit history: "(edited)" opens it; moderators can also open deleted messages
+function editedMark(messageId){
+  const b = document.createElement('button');
+  b.className = 'msgEdited';
+  b.textContent = ' (edited)';
+  b.title = 'Edit history';
+  b.addEventListener('click', (e)=>{ e.stopPropagation(); openMessageHistory(messageId); });
+  return b;
+}
+
+function canSeeDeleted(threadId){
+  const t = state.threads.find(x => x.id === threadId);
+  return isAdmin() || (t?.type==='group' && groupCan(t, 'manageMessages'));
+}
+
+// removal: { removedByModerator, removalReason } from the message or the delete event
+function fillDeleted(body, threadId, messageId, removal){
+  body.textContent = removal?.removedByModerator
+    ? 'Removed by a moderator' + (removal.removalReason ? ': ' + removal.removalReason : '')
+    : '[deleted]';
+  body.classList.toggle('msgRemoved', !!removal?.removedByModerator);
+  if(!canSeeDeleted(threadId)) return;
+  const b = btn('View','msgAct', (e)=>{ e.stopPropagation(); openMessageHistory(messageId); });
+  b.style.opacity = '1';
+  body.appendChild(b);
+}
+
+async function openMessageHistory(messageId){
+  let h;
+  try{ h = await API.messageHistory(messageId); }catch(e){ return toast('History failed', e.message); }
+  const version = (label, content)=>{
+    const wrap = document.createElement('div');
+    const head = document.createElement('div');
+    head.className = 'reportLine';
+    head.textContent = label;
+    const text = document.createElement('div');
+    text.className = 'reportQuote';
+    text.textContent = content || '(no text)';
+    wrap.appendChild(head);
+    wrap.appendChild(text);
+    return wrap;
+  };
+  const list = document.createElement('div');
+  list.className = 'reportList';
+  if(h.deletedAt){
+    const label = `Deleted by ${h.deletedByName} · ${fmtDateTime(h.deletedAt)}`;
+    list.appendChild(h.purged ? version(label, `(text removed after ${h.retentionDays} days)`) : version(label + ' · last version', h.current.content));
+  }else{
+    list.appendChild(version('Current · ' + fmtDateTime(h.current.at), h.current.content));
+  }
+  for(const rv of h.revisions) list.appendChild(version(fmtDateTime(rv.at), rv.content));
+  if(!h.revisions.length && !h.deletedAt) list.appendChild(version('Earlier versions', `(none kept; versions are dropped after ${h.retentionDays} days)`));
+  openModal(h.deletedAt ? 'Deleted message' : 'Edit history', [list], [btn('Close','btn', closeModal)]);
 }
 
 async function loadThread(threadId){
   try{
-    const thread = state.threads.find(t => t.id===threadId) || { id:'global', type:'global', name:'Global' };
+    const thread = state.threads.find(t => t.id===threadId) || PLACEHOLDER_CHANNEL;
     updateThreadTopbar(thread);
+    if(!threadId) return renderMessages([]); // the placeholder: nothing to load until login
 
     showLoading('Loading messages…');
     const data = await API.messages(threadId);
     hideLoading();
 
-    renderMessages(data.messages || []);
+    const msgs = data.messages || [];
+    state.history = { threadId, oldestId: msgs.length ? msgs[0].id : null, hasMore: !!data.hasMore, loading: false };
+    renderMessages(msgs);
     ensureJoined(threadId);
 
+    state.receipts = new Map((data.receipts || []).map(r => [r.userId, r]));
+    renderReceipts();
+
     // clear ping for this thread
     state.pendingPing.set(threadId, 0);
+    state.mentionPing.set(threadId, 0);
     renderThreads();
+    markRead();
   }catch(e){
     hideLoading();
     toast('Failed to load', e.message);
   }
 }
 
+// tell the server we've seen the newest rendered message (only while the tab is focused)
+function markRead(){
+  if(!state.socket || !state.user || !document.hasFocus()) return;
+  const last = elMessages.lastElementChild;
+  const messageId = last && last.dataset.mid;
+  if(!messageId) return;
+  const key = state.activeThreadId + '|' + messageId;
+  if(state.lastReadSent === key) return;
+  state.lastReadSent = key;
+  state.socket.emit('thread:read', { threadId: state.activeThreadId, messageId });
+}
+
+function renderReceipts(){
+  elMessages.querySelectorAll('.seenNote').forEach(n => n.remove());
+  const byMessage = new Map();
+  for(const [userId, r] of state.receipts){
+    if(state.user && userId === state.user.id) continue;
+    if(!byMessage.has(r.messageId)) byMessage.set(r.messageId, []);
+    byMessage.get(r.messageId).push(r.username);
+  }
+  for(const [messageId, names] of byMessage){
+    const col = messageEl(messageId)?.querySelector('.msgCol');
+    if(!col) continue;
+    const note = document.createElement('div');
+    note.className = 'msgNote seenNote';
+    note.textContent = 'Seen by ' + names.sort().join(', ');
+    col.appendChild(note);
+  }
+}
+
+// resolved ids from the server; older messages only have their text
+function mentionsMe(m){
+  if(!state.user) return false;
+  if(Array.isArray(m.mentions)) return m.mentions.includes(state.user.id);
+  return new RegExp('(^|[^\\w])@' + state.user.username + '\\b', 'i').test(m.content || '');
+}
+
+const MENTION_TOKEN_RE = /(^|[^\w@])@([a-zA-Z0-9_]{2,20})\b/g;
+
+function fillBody(el, content, mentions){
+  el.textContent = '';
+  const text = String(content || '');
+  appendMd(el, state.settings.markdown ? parseMarkdown(text) : parseLinks(text), mentions);
+}
+
+// elements for a public/markdown.js tree: text nodes and a fixed set of tags (never innerHTML)
+function appendMd(el, nodes, mentions){
+  for(const n of nodes){
+    if(typeof n === 'string'){ appendMentions(el, n, mentions); continue; }
+    if(n.tag === 'a'){ appendLink(el, n); continue; }
+    const node = document.createElement(n.tag);
+    if(n.tag === 'pre'){
+      node.className = 'mdPre';
+      const code = document.createElement('code');
+      code.textContent = n.text;
+      node.appendChild(code);
+    }else if(n.tag === 'code'){
+      node.className = 'mdCode';
+      node.textContent = n.text;
+    }else{
+      appendMd(node, n.children, mentions);
+    }
+    if(n.cls === 'spoiler'){
+      node.className = n.cls;
+      node.addEventListener('click', ()=> node.classList.add('revealed'));
+    }
+    el.appendChild(node);
+  }
+}
+
+// anchor for a parsed http(s) link: new tab, no opener / referrer
+function appendLink(el, link){
+  const a = document.createElement('a');
+  a.href = link.href;
+  a.textContent = link.text;
+  a.target = '_blank';
+  a.rel = 'noopener noreferrer';
+  el.appendChild(a);
+}
+
+// text with @tags highlighted; our own name stands out when the server resolved it to us
+function appendMentions(el, text, mentions){
+  const meResolved = !!state.user && (!Array.isArray(mentions) || mentions.includes(state.user.id));
+  let last = 0;
+  for(const match of text.matchAll(MENTION_TOKEN_RE)){
+    const at = match.index + match[1].length;
+    el.appendChild(document.createTextNode(text.slice(last, at)));
+    const tag = document.createElement('span');
+    tag.className = 'mentionTag';
+    tag.textContent = '@' + match[2];
+    if(meResolved && match[2].toLowerCase() === state.user.username.toLowerCase()) tag.classList.add('me');
+    el.appendChild(tag);
+    last = at + 1 + match[2].length;
+  }
+  el.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// @autocomplete: group/DM members, or the online list in channels
+const memberCache = new Map(); // group threadId -> [{ id, username }]
+const mentionBox = { items: [], index: 0, start: -1 };
+
+async function mentionCandidates(t){
+  if(!t) return [];
+  if(t.type==='group'){
+    if(!memberCache.has(t.id)){
+      const r = await API.groupInfo(t.id).catch(()=> ({ members: [] }));
+      memberCache.set(t.id, r.members.map(m => ({ id:m.id, username:m.username })));
+    }
+    return memberCache.get(t.id);
+  }
+  if(t.type==='dm') return [{ id:(t.members||[]).find(id => id !== state.user?.id), username:t.name }];
+  return state.online.map(o => o.user);
+}
+
+async function updateMentionBox(){
+  const caret = elComposer.selectionStart;
+  const before = elComposer.value.slice(0, caret);
+  const match = before.match(/(^|[^\w@])@([a-zA-Z0-9_]{0,20})$/);
+  if(!match || !state.user) return hideMentionBox();
+  const prefix = match[2].toLowerCase();
+  const threadId = state.activeThreadId;
+  const all = await mentionCandidates(state.threads.find(t => t.id === threadId));
+  if(threadId !== state.activeThreadId || elComposer.selectionStart !== caret) return;
+  const items = all
+    .filter(u => u && u.id !== state.user.id && !state.blockedIds.has(u.id) && u.username.toLowerCase().startsWith(prefix))
+    .sort((a,b)=> a.username.localeCompare(b.username))
+    .slice(0, 6);
+  if(!items.length) return hideMentionBox();
+  mentionBox.items = items;
+  mentionBox.index = 0;
+  mentionBox.start = caret - match[2].length - 1;
+  renderMentionBox();
+}
+
+function renderMentionBox(){
+  elMentionBox.innerHTML = '';
+  mentionBox.items.forEach((u, i)=>{
+    const b = document.createElement('button');
+    b.className = 'mentionItem' + (i === mentionBox.index ? ' active' : '');
+    b.textContent = '@' + u.username;
+    b.addEventListener('mousedown', (e)=>{ e.preventDefault(); insertMention(u.username); });
+    elMentionBox.appendChild(b);
+  });
+  elMentionBox.classList.add('show');
+}
+
+function hideMentionBox(){
+  mentionBox.items = [];
+  mentionBox.start = -1;
+  elMentionBox.classList.remove('show');
+}
+
+function insertMention(username){
+  const v = elComposer.value;
+  const caret = elComposer.selectionStart;
+  const text = '@' + username + ' ';
+  elComposer.value = v.slice(0, mentionBox.start) + text + v.slice(caret);
+  const pos = mentionBox.start + text.length;
+  elComposer.setSelectionRange(pos, pos);
+  hideMentionBox();
+  elComposer.focus();
+  autosize();
+}
+
+// true when the key was used by the box
+function mentionKeydown(e){
+  if(!mentionBox.items.length) return false;
+  if(e.key==='ArrowDown' || e.key==='ArrowUp'){
+    const n = mentionBox.items.length;
+    mentionBox.index = (mentionBox.index + (e.key==='ArrowDown' ? 1 : n - 1)) % n;
+    renderMentionBox();
+  }else if(e.key==='Tab' || e.key==='Enter'){
+    insertMention(mentionBox.items[mentionBox.index].username);
+  }else if(e.key==='Escape'){
+    hideMentionBox();
+  }else{
+    return false;
+  }
+  e.preventDefault();
+  return true;
+}
+
+async function loadOlder(){
+  const h = state.history;
+  if(!h.hasMore || h.loading || !h.oldestId || h.threadId !== state.activeThreadId) return;
+  h.loading = true;
+  try{
+    const data = await API.messages(h.threadId, h.oldestId);
+    if(state.history !== h) return; // switched threads meanwhile
+    const msgs = data.messages || [];
+    if(msgs.length) h.oldestId = msgs[0].id;
+    h.hasMore = !!data.hasMore && msgs.length > 0;
+    prependMessages(msgs);
+  }catch(e){
+    toast('Failed to load history', e.message);
+  }finally{
+    h.loading = false;
+  }
+}
+
+elMessages.addEventListener('scroll', ()=>{
+  if(elMessages.scrollTop < 60) loadOlder();
+}, { passive:true });
+
 function ensureJoined(threadId){
   if(!state.socket) return;
   state.socket.emit('thread:join', { threadId }, (resp)=>{
     if(resp && !resp.ok) toast('Join failed', resp.error || 'forbidden');
+    else state.joined.add(threadId);
   });
 }
 
-function userContextMenu(e, user){
+// message: set when opened from a message's sender name (adds "Report message")
+function userContextMenu(e, user, message){
   e.preventDefault();
   if(!user || !user.username) return;
   hideCtx();
@@ -522,6 +1385,18 @@ function userContextMenu(e, user){
     items.push({ label:'Block', danger:true, fn: ()=> blockUser(user.username) });
     items.push({ label:'DM', fn: ()=> openDM(user.username) });
   }
+  if(state.user && user.id && user.id !== state.user.id){
+    if(message && !message.deletedAt && (message.type==='message' || message.type==='announcement')){
+      items.push({ label:'Report message…', danger:true, fn: ()=> openReport(user, message) });
+    }
+    items.push({ label:'Report user…', danger:true, fn: ()=> openReport(user, null) });
+    if(message && canRemoveMessage({ threadId: message.threadId, senderId: user.id })){
+      items.push({ label:'Delete recent messages…', danger:true, fn: ()=> openBulkDelete(user, message.threadId) });
+    }
+  }
+  if(isAdmin() && user.id && user.id !== state.user.id){
+    items.push({ label:'Moderate…', danger:true, fn: ()=> openModerate(user) });
+  }
   if(items.length===0) return;
 
   elCtx.innerHTML = '';
@@ -537,6 +1412,327 @@ function userContextMenu(e, user){
   elCtx.classList.add('show');
 }
 
+// site moderation: a ban ends the session; mutes / timeouts only block posting (server enforces)
+const SANCTION_LABEL = { ban:'Banned', mute:'Muted', timeout:'Timed out' };
+const SANCTION_DURATIONS = [[600_000,'10 minutes'],[3600_000,'1 hour'],[86400_000,'1 day'],[7*86400_000,'7 days'],[28*86400_000,'28 days'],['permanent','Permanent']];
+// the server wants a duration or an explicit permanent flag
+function sanctionLength(value){ return value==='permanent' ? { permanent: true } : { duration: Number(value) }; }
+
+function sanctionExpiry(s){ return s.expiresAt ? 'Until ' + fmtDateTime(s.expiresAt) : 'Permanent'; }
+
+function postBlock(threadId){
+  return state.sanctions.find(s =>
+    (!s.expiresAt || s.expiresAt > now()) && (s.type==='mute' || (s.type==='timeout' && s.threadId===threadId))
+  ) || null;
+}
+
+function showBanNotice(s){
+  logout();
+  const p = document.createElement('div');
+  p.className = 'sanctionNotice';
+  p.textContent = s.reason;
+  const until = document.createElement('small');
+  until.textContent = s.expiresAt ? `The ban ends ${fmtDateTime(s.expiresAt)}.` : 'This ban is permanent.';
+  openModal('You are banned', [p, until], [btn('OK','btn btnPrimary', closeModal)]);
+}
+
+async function openModerate(user){
+  if(!isAdmin()) return;
+  const active = state.threads.find(t => t.id === state.activeThreadId);
+  const type = select([['mute','Mute (everywhere)'],['timeout',`Timeout in ${active ? threadDisplayName(active) : 'this chat'}`],['ban','Ban']], 'mute');
+  const duration = select(SANCTION_DURATIONS, 3600_000);
+  const reason = input('Reason (they will see it)', 'text', '');
+  reason.maxLength = 200;
+
+  const list = document.createElement('div');
+  list.className = 'sanctionList';
+  const renderList = async ()=>{
+    list.textContent = 'Loading…';
+    try{
+      const r = await API.sanctions(user.id);
+      list.textContent = r.sanctions.length ? '' : 'No active sanctions.';
+      for(const s of r.sanctions){
+        const row = document.createElement('div');
+        row.className = 'sanctionRow';
+        const txt = document.createElement('span');
+        txt.textContent = `${SANCTION_LABEL[s.type]}${s.threadName ? ' in ' + s.threadName : ''} · ${sanctionExpiry(s)} · ${s.reason}`;
+        row.appendChild(txt);
+        row.appendChild(btn('Lift','btn', async ()=>{
+          try{ await API.sanctionLift(s.id); toast('Sanction lifted', user.username); renderList(); }
+          catch(e){ toast('Lift failed', e.message); }
+        }));
+        list.appendChild(row);
+      }
+    }catch(e){ list.textContent = e.message; }
+  };
+  renderList();
+
+  openModal('Moderate ' + user.username, [labelRow('Action', type), labelRow('Duration', duration), labelRow('Reason', reason), list], [
+    btn('Close','btn', closeModal),
+    btn('Apply','btn btnDanger', async ()=>{
+      if(type.value==='timeout' && duration.value==='permanent') return toast('Timeouts need a duration');
+      try{
+        await API.sanction({
+          userId: user.id, type: type.value, ...sanctionLength(duration.value), reason: reason.value,
+          threadId: type.value==='timeout' ? active?.id : undefined,
+        });
+        toast(SANCTION_LABEL[type.value], user.username);
+        renderList();
+      }catch(e){ toast('Moderation failed', e.message); }
+    }),
+  ]);
+}
+
+// reports
+const REPORT_REASONS = [['spam','Spam'],['harassment','Harassment'],['hate','Hate speech'],['nsfw','NSFW content'],['other','Other']];
+const REPORT_REASON_LABEL = { ...Object.fromEntries(REPORT_REASONS), filter:'Filter match' };
+const REPORT_ACTION_LABEL = { dismiss:'Dismissed', delete:'Message deleted', mute:'Muted', ban:'Banned' };
+
+function openReport(user, message){
+  const reason = select(REPORT_REASONS, 'spam');
+  const note = document.createElement('textarea');
+  note.maxLength = 300;
+  note.placeholder = 'Anything moderators should know (optional)';
+  const body = [labelRow('Reason', reason), labelRow('Details', note)];
+  if(message){
+    const quote = document.createElement('div');
+    quote.className = 'reportQuote';
+    quote.textContent = message.content || '(attachment)';
+    body.unshift(quote);
+  }
+  openModal(message ? 'Report message' : 'Report ' + user.username, body, [
+    btn('Cancel','btn', closeModal),
+    btn('Report','btn btnDanger', async ()=>{
+      try{
+        const r = await API.report(message ? { messageId: message.id, reason: reason.value, note: note.value } : { userId: user.id, reason: reason.value, note: note.value });
+        toast(r.already ? 'Already reported' : 'Report sent', 'Thanks, a moderator will take a look.');
+        closeModal();
+      }catch(e){ toast('Report failed', e.message); }
+    }),
+  ]);
+}
+
+function renderReportsBtn(){
+  elBtnReports.style.display = isAdmin() ? '' : 'none';
+  elBtnReports.textContent = '🚩' + (state.openReports ? ' ' + state.openReports : '');
+}
+
+async function refreshReportCount(){
+  if(!isAdmin()) return;
+  try{ state.openReports = (await API.reports('open')).open; renderReportsBtn(); }catch{}
+}
+
+function buildReportCard(rep, rerender){
+  const card = document.createElement('div');
+  card.className = 'reportCard';
+  const head = document.createElement('div');
+  head.className = 'reportHead';
+  head.textContent = `${rep.kind==='message' ? 'Message by' : 'User'} ${rep.targetName} · ${rep.reporters.length} report${rep.reporters.length===1?'':'s'} · ${fmtDateTime(rep.createdAt)}`;
+  card.appendChild(head);
+
+  const snap = document.createElement('div');
+  snap.className = 'reportQuote';
+  if(rep.kind==='message'){
+    const files = (rep.snapshot.attachments || []).length ? `\n📎 ${rep.snapshot.attachments.join(', ')}` : '';
+    snap.textContent = (rep.snapshot.content || '') + files + (rep.messageGone ? '\n(message since deleted)' : '');
+  }else{
+    snap.textContent = [rep.snapshot.statusText, rep.snapshot.bio].filter(Boolean).join('\n') || '(no bio or status)';
+  }
+  card.appendChild(snap);
+
+  for(const x of rep.reporters){
+    const line = document.createElement('div');
+    line.className = 'reportLine';
+    line.textContent = `${x.username}: ${(REPORT_REASON_LABEL[x.reason] || x.reason)}${x.note ? ' — ' + x.note : ''}`;
+    card.appendChild(line);
+  }
+
+  if(rep.status==='resolved'){
+    const done = document.createElement('div');
+    done.className = 'reportLine';
+    done.textContent = `${REPORT_ACTION_LABEL[rep.action] || rep.action}${rep.messageDeleted && rep.action!=='delete' ? ' + message deleted' : ''} by ${rep.resolvedByName} · ${fmtDateTime(rep.resolvedAt)}`;
+    card.appendChild(done);
+    return card;
+  }
+
+  const duration = select(SANCTION_DURATIONS, 86400_000);
+  const alsoDelete = checkbox(rep.kind==='message' && !rep.messageGone);
+  const act = (action)=> async ()=>{
+    try{
+      await API.reportResolve(rep.id, action, { ...sanctionLength(duration.value), deleteMessage: alsoDelete.checked });
+      toast('Report resolved', REPORT_ACTION_LABEL[action]);
+      rerender();
+    }catch(e){ toast('Action failed', e.message); }
+  };
+  const actions = document.createElement('div');
+  actions.className = 'reportActions';
+  actions.appendChild(btn('Dismiss','btn', act('dismiss')));
+  if(rep.kind==='message' && !rep.messageGone) actions.appendChild(btn('Delete message','btn', act('delete')));
+  actions.appendChild(duration);
+  actions.appendChild(btn('Mute','btn btnDanger', act('mute')));
+  actions.appendChild(btn('Ban','btn btnDanger', act('ban')));
+  if(rep.kind==='message' && !rep.messageGone){
+    const lbl = document.createElement('label');
+    lbl.className = 'reportAlso';
+    lbl.appendChild(alsoDelete);
+    lbl.appendChild(document.createTextNode(' also delete'));
+    actions.appendChild(lbl);
+  }
+  card.appendChild(actions);
+  return card;
+}
+
+async function openReports(){
+  if(!isAdmin()) return;
+  const view = select([['open','Open'],['resolved','Resolved']], 'open');
+  const list = document.createElement('div');
+  list.className = 'reportList';
+  const render = async ()=>{
+    list.textContent = 'Loading…';
+    try{
+      const r = await API.reports(view.value);
+      state.openReports = r.open;
+      renderReportsBtn();
+      list.textContent = r.reports.length ? '' : (view.value==='open' ? 'Queue is empty.' : 'Nothing resolved yet.');
+      for(const rep of r.reports) list.appendChild(buildReportCard(rep, render));
+    }catch(e){ list.textContent = e.message; }
+  };
+  view.addEventListener('change', render);
+  render();
+  openModal('Reports', [labelRow('Show', view), list], [btn('Mod log','btn', ()=> openModLog(null)), btn('Filter rules','btn', openFilterRules), btn('Lockouts','btn', openLockouts), btn('Close','btn', closeModal)]);
+}
+
+// failed logins per account / IP (admins); the server forgets them on restart
+async function openLockouts(){
+  if(!isAdmin()) return;
+  const list = document.createElement('div');
+  list.className = 'reportList';
+  const render = async ()=>{
+    list.textContent = 'Loading…';
+    try{
+      const r = await API.lockouts();
+      list.textContent = r.lockouts.length ? '' : 'No failed logins recorded.';
+      for(const l of r.lockouts){
+        const row = document.createElement('div');
+        row.className = 'sanctionRow';
+        const info = document.createElement('div');
+        const status = l.lockedUntil ? 'Locked until ' + fmtDateTime(l.lockedUntil) : `${l.failures} failed`;
+        info.textContent = `${l.kind==='ip' ? 'IP' : 'Account'} ${l.name} · ${status}${l.lockouts ? ` · ${l.lockouts} lockout${l.lockouts===1?'':'s'}` : ''} · last ${fmtDateTime(l.lastAt)}`;
+        row.appendChild(info);
+        row.appendChild(btn('Clear','btn', async ()=>{
+          try{ await API.lockoutClear(l.key); render(); }catch(e){ toast('Clear failed', e.message); }
+        }));
+        list.appendChild(row);
+      }
+    }catch(e){ list.textContent = e.message; }
+  };
+  render();
+  openModal('Login lockouts', [list], [btn('Back','btn', openReports), btn('Refresh','btn', render), btn('Close','btn', closeModal)]);
+}
+
+// content filter rules (admins); matching + normalization happen on the server
+const FILTER_KIND_LABEL = { word:'Word', regex:'Regex' };
+const FILTER_ACTION_LABEL = { mask:'Mask', block:'Block send', flag:'Flag for review' };
+const FILTER_SCOPE_LABEL = { channel:'Channels', group:'Groups', dm:'DMs', profile:'Names / bios' };
+
+function buildScopePicker(scopes, selected){
+  const wrap = document.createElement('div');
+  wrap.className = 'filterScopes';
+  const boxes = scopes.map(sc => {
+    const lbl = document.createElement('label');
+    const c = checkbox(selected.includes(sc));
+    lbl.appendChild(c);
+    lbl.appendChild(document.createTextNode(' ' + (FILTER_SCOPE_LABEL[sc] || sc)));
+    wrap.appendChild(lbl);
+    return [sc, c];
+  });
+  return { el: wrap, value: ()=> boxes.filter(([, c]) => c.checked).map(([sc]) => sc) };
+}
+
+function buildFilterRow(rule, meta, rerender){
+  const row = document.createElement('div');
+  row.className = 'filterRow';
+  const pattern = document.createElement('code');
+  pattern.className = 'mdCode';
+  pattern.textContent = rule.pattern;
+  const kind = document.createElement('span');
+  kind.className = 'reportLine';
+  kind.textContent = FILTER_KIND_LABEL[rule.kind] || rule.kind;
+  const action = select(meta.actions.map(a => [a, FILTER_ACTION_LABEL[a] || a]), rule.action);
+  const scopes = buildScopePicker(meta.scopes, rule.scopes);
+  const enabled = checkbox(rule.enabled);
+  enabled.title = 'Enabled';
+  const save = async (data)=>{
+    try{ await API.filterUpdate(rule.id, data); }
+    catch(e){ toast('Update failed', e.message); rerender(); }
+  };
+  action.addEventListener('change', ()=> save({ action: action.value }));
+  scopes.el.addEventListener('change', ()=> save({ scopes: scopes.value() }));
+  enabled.addEventListener('change', ()=> save({ enabled: enabled.checked }));
+  row.appendChild(enabled);
+  row.appendChild(pattern);
+  row.appendChild(kind);
+  row.appendChild(action);
+  row.appendChild(scopes.el);
+  row.appendChild(btn('✕','btn btnDanger', async ()=>{
+    if(!confirm(`Delete the rule "${rule.pattern}"?`)) return;
+    try{ await API.filterDelete(rule.id); rerender(); }catch(e){ toast('Delete failed', e.message); }
+  }));
+  return row;
+}
+
+async function openFilterRules(){
+  if(!isAdmin()) return;
+  let meta;
+  try{ meta = await API.filterRules(); }catch(e){ return toast('Filter rules', e.message); }
+  const list = document.createElement('div');
+  list.className = 'reportList';
+  const render = async ()=>{
+    try{ meta = await API.filterRules(); }catch(e){ list.textContent = e.message; return; }
+    list.textContent = meta.rules.length ? '' : 'No rules.';
+    for(const rule of meta.rules) list.appendChild(buildFilterRow(rule, meta, render));
+  };
+
+  const pattern = input('word, *prefix, suffix* or a regex');
+  pattern.maxLength = 100;
+  const kind = select(meta.kinds.map(k => [k, FILTER_KIND_LABEL[k] || k]), 'word');
+  const action = select(meta.actions.map(a => [a, FILTER_ACTION_LABEL[a] || a]), 'mask');
+  const scopes = buildScopePicker(meta.scopes, meta.scopes);
+  const add = btn('Add rule','btn btnPrimary', async ()=>{
+    try{
+      await API.filterCreate({ pattern: pattern.value, kind: kind.value, action: action.value, scopes: scopes.value() });
+      pattern.value = '';
+      render();
+    }catch(e){ toast('Rule not added', e.message); }
+  });
+  const addRow = document.createElement('div');
+  addRow.className = 'reportActions';
+  for(const n of [pattern, kind, action, add]) addRow.appendChild(n);
+
+  const sample = document.createElement('textarea');
+  sample.maxLength = 1500;
+  sample.placeholder = 'Try some text against the saved rules';
+  const testScope = select(meta.scopes.map(sc => [sc, FILTER_SCOPE_LABEL[sc] || sc]), 'channel');
+  const result = document.createElement('div');
+  result.className = 'reportQuote';
+  result.style.display = 'none';
+  const test = btn('Test','btn', async ()=>{
+    try{
+      const r = await API.filterTest(sample.value, testScope.value);
+      const hits = r.hits.map(h => `"${h.pattern}" (${FILTER_ACTION_LABEL[h.action] || h.action})`).join(', ');
+      result.textContent = (r.blocked ? 'Blocked.' : r.text) + '\n' + (hits ? 'Matched ' + hits : 'No matches');
+      result.style.display = '';
+    }catch(e){ toast('Test failed', e.message); }
+  });
+  const testRow = document.createElement('div');
+  testRow.className = 'reportActions';
+  testRow.appendChild(testScope);
+  testRow.appendChild(test);
+
+  render();
+  openModal('Content filter', [addRow, scopes.el, list, labelRow('Test', sample), testRow, result], [btn('Back','btn', openReports), btn('Close','btn', closeModal)]);
+}
+
 function hideCtx(){ elCtx.classList.remove('show'); }
 window.addEventListener('click', hideCtx);
 window.addEventListener('scroll', hideCtx, true);
@@ -584,7 +1780,7 @@ function openEditMessage(m){
       try{
         state.socket.emit('message:delete', { messageId: m.id }, (resp)=>{
           if(resp && resp.ok) { toast('Deleted'); closeModal(); }
-          else toast('Delete failed', resp?.error || 'error');
+          else toast('Delete failed', errorText(resp?.error));
         });
       }catch(e){ toast('Delete failed', e.message); }
     }),
@@ -593,7 +1789,7 @@ function openEditMessage(m){
       if(!content) return toast('Empty','Write something.');
       state.socket.emit('message:edit', { messageId: m.id, content }, (resp)=>{
         if(resp && resp.ok) { toast('Edited'); closeModal(); }
-        else toast('Edit failed', resp?.error || 'error');
+        else toast('Edit failed', errorText(resp?.error));
       });
     })
   ];
@@ -601,8 +1797,71 @@ function openEditMessage(m){
   setTimeout(()=> ta.focus(), 20);
 }
 
+// group moderators: delete someone else's message
+function openRemoveMessage(m){
+  const reason = input('Reason (shown in its place)');
+  reason.maxLength = 200;
+  const body = [
+    Object.assign(document.createElement('div'), { className:'msgNote', textContent:`Remove this message from ${m.senderName || 'user'}?` }),
+    labelRow('Reason', reason),
+  ];
+  const foot = [
+    btn('Cancel','btn', closeModal),
+    btn('Remove','btn btnDanger', ()=>{
+      state.socket.emit('message:delete', { messageId: m.id, reason: reason.value.trim() }, (resp)=>{
+        if(resp && resp.ok) { toast('Deleted'); closeModal(); }
+        else toast('Delete failed', errorText(resp?.error));
+      });
+    })
+  ];
+  openModal('Remove message', body, foot);
+}
+
+// raid cleanup: one user's recent messages in this thread
+const BULK_DELETE_RANGES = [['600000','Last 10 minutes'],['3600000','Last hour'],['86400000','Last 24 hours'],['604800000','Last 7 days']];
+
+function openBulkDelete(user, threadId){
+  const since = select(BULK_DELETE_RANGES, '3600000');
+  const reason = input('Reason (shown in their place)');
+  reason.maxLength = 200;
+  openModal('Delete recent messages', [
+    Object.assign(document.createElement('div'), { className:'msgNote', textContent:`Remove ${user.username}'s messages in this chat (up to 200).` }),
+    labelRow('From', since),
+    labelRow('Reason', reason),
+  ], [
+    btn('Cancel','btn', closeModal),
+    btn('Remove','btn btnDanger', async ()=>{
+      try{
+        const r = await API.bulkDelete(threadId, user.id, Number(since.value), reason.value.trim());
+        toast('Messages removed', `${r.removed} from ${user.username}`);
+        closeModal();
+      }catch(e){ toast('Removal failed', e.message); }
+    }),
+  ]);
+}
+
+// moderation log: a thread's (group managers) or everything (admins)
+async function openModLog(threadId){
+  const list = document.createElement('div');
+  list.className = 'reportList';
+  list.textContent = 'Loading…';
+  openModal('Moderation log', [list], [btn('Close','btn', closeModal)]);
+  try{
+    const r = await API.modLog(threadId);
+    list.textContent = r.entries.length ? '' : 'Nothing logged yet.';
+    for(const e of r.entries){
+      const row = document.createElement('div');
+      row.className = 'reportLine';
+      const what = e.action==='bulk-delete' ? `removed ${e.count} messages from` : 'removed a message from';
+      row.textContent = `${fmtDateTime(e.at)} · ${e.actorName} ${what} ${e.targetName}${threadId ? '' : ' in ' + e.threadName}${e.reason ? ' — ' + e.reason : ''}`;
+      list.appendChild(row);
+    }
+  }catch(e){ list.textContent = e.message; }
+}
+
 // Auth modal
 function openAuthModal(){
+  let challenge = null; // handed out by the server with a failed login
   const modeSel = select([['login','Login'],['register','Register'],['guest','Guest']], 'login');
   const u = input('Username (letters/numbers/_ 2-20)', 'text', '');
   const p = input('Password', 'password', '');
@@ -662,8 +1921,22 @@ function openAuthModal(){
         }
 
         if(m==='login'){
-          showLoading('Logging in…');
-          const r = await API.login({ username, password });
+          const attempt = async ()=>{
+            const c = challenge;
+            challenge = null;
+            if(c) showLoading('Running a quick check…');
+            const extra = c ? await solveChallenge(c) : {};
+            showLoading('Logging in…');
+            return API.login({ username, password, ...extra });
+          };
+          let r;
+          try{ r = await attempt(); }
+          catch(e){
+            // 428: the attempt wasn't checked yet; solve the new challenge and go again
+            if(e.status !== 428 || !e.challenge) throw e;
+            challenge = e.challenge;
+            r = await attempt();
+          }
           hideLoading();
           setToken(r.token);
           setMe(r.user);
@@ -674,7 +1947,9 @@ function openAuthModal(){
         }
       }catch(e){
         hideLoading();
-        toast('Auth failed', e.message);
+        if(e.challenge) challenge = e.challenge;
+        if(e.sanction) showBanNotice(e.sanction);
+        else toast('Auth failed', e.message);
       }
     })
   ];
@@ -707,26 +1982,21 @@ function openSettings(){
   const pingInv = document.createElement('input'); pingInv.type='checkbox'; pingInv.checked=!!state.settings.pingInvite;
   const pingFr = document.createElement('input'); pingFr.type='checkbox'; pingFr.checked=!!state.settings.pingFriend;
   const pingGl = document.createElement('input'); pingGl.type='checkbox'; pingGl.checked=!!state.settings.pingGlobal;
+  const pingMe = document.createElement('input'); pingMe.type='checkbox'; pingMe.checked=!!state.settings.pingMention;
+  const markdown = checkbox(state.settings.markdown);
 
   const vol = document.createElement('input'); vol.type='range'; vol.min='0'; vol.max='1'; vol.step='0.01'; vol.value=String(state.settings.volume ?? 0.25);
   const test = btn('Test ping','btn', ()=> playPing('dm'));
 
-  function rowChk(lbl, chk){
-    const row = document.createElement('div'); row.className='row';
-    const l = document.createElement('label'); l.textContent = lbl;
-    const wrap = document.createElement('div'); wrap.style.display='flex'; wrap.style.alignItems='center'; wrap.style.gap='10px';
-    wrap.appendChild(chk);
-    row.appendChild(l); row.appendChild(wrap);
-    return row;
-  }
-
   const body = [
     labelRow('Presence', presence),
     labelRow('Status', statusText),
     rowChk('Ping DM', pingDM),
     rowChk('Ping Invite', pingInv),
     rowChk('Ping Friend', pingFr),
-    rowChk('Ping Global', pingGl),
+    rowChk('Ping channels', pingGl),
+    rowChk('Ping mentions', pingMe),
+    rowChk('Format messages (Markdown)', markdown),
     labelRow('Volume', vol),
     test
   ];
@@ -740,6 +2010,10 @@ function openSettings(){
         state.settings.pingInvite = pingInv.checked;
         state.settings.pingFriend = pingFr.checked;
         state.settings.pingGlobal = pingGl.checked;
+        state.settings.pingMention = pingMe.checked;
+        const rerender = state.settings.markdown !== markdown.checked;
+        state.settings.markdown = markdown.checked;
+        if(rerender) loadThread(state.activeThreadId);
         state.settings.volume = Number(vol.value);
         saveSettings();
 
@@ -803,23 +2077,128 @@ function openNewChat(){
   openModal('Create chat', body, foot);
 }
 
-function openGroupSettings(){
+// search
+function appendHighlighted(el, snippet){
+  const text = snippet?.text || '';
+  let pos = 0;
+  for(const [a,b] of (snippet?.ranges || [])){
+    if(a > pos) el.appendChild(document.createTextNode(text.slice(pos, a)));
+    const mark = document.createElement('mark'); mark.className='hl';
+    mark.textContent = text.slice(a, b);
+    el.appendChild(mark);
+    pos = b;
+  }
+  if(pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+}
+
+function openSearch(){
+  if(!state.user) return openAuthModal();
+
+  const q = input('Words to find', 'text', '');
+  const sender = input('Username (optional)', 'text', '');
+  const from = input('', 'date', '');
+  const to = input('', 'date', '');
+  const here = checkbox(false);
+  const mention = checkbox(false);
+  const results = document.createElement('div');
+  results.className = 'searchResults';
+
+  async function run(){
+    const params = { q: q.value.trim() };
+    if(sender.value.trim()) params.sender = sender.value.trim();
+    // date inputs give a calendar day; send the bounds of that day in the user's time zone
+    if(from.value) params.from = String(new Date(from.value + 'T00:00:00').getTime());
+    if(to.value) params.to = String(new Date(to.value + 'T23:59:59.999').getTime());
+    if(here.checked) params.threadId = state.activeThreadId;
+    if(mention.checked) params.hasMention = '1';
+    results.innerHTML = '';
+    try{
+      const data = await API.search(params);
+      if(!(data.results||[]).length){
+        const none = document.createElement('div'); none.className='msgNote'; none.textContent='No results.';
+        results.appendChild(none);
+        return;
+      }
+      for(const r of data.results){
+        const row = document.createElement('div');
+        row.className = 'searchResult';
+        const meta = document.createElement('div');
+        meta.className = 'msgNote';
+        meta.textContent = `${threadDisplayName(r.thread)} • ${r.message.senderName} • ${fmtDateTime(r.message.createdAt)}`;
+        const snip = document.createElement('div');
+        snip.className = 'searchSnip';
+        appendHighlighted(snip, r.snippet);
+        row.appendChild(meta); row.appendChild(snip);
+        row.addEventListener('click', ()=>{ closeModal(); jumpToMessage(r.message.threadId, r.message.id); });
+        results.appendChild(row);
+      }
+      if(data.hasMore){
+        const more = document.createElement('div'); more.className='msgNote'; more.textContent='More results — narrow the search.';
+        results.appendChild(more);
+      }
+    }catch(e){ toast('Search failed', e.message); }
+  }
+  q.addEventListener('keydown', (e)=>{ if(e.key==='Enter'){ e.preventDefault(); run(); } });
+
+  const body = [
+    labelRow('Search', q),
+    labelRow('Sender', sender),
+    labelRow('From date', from),
+    labelRow('To date', to),
+    rowChk('This chat only', here),
+    rowChk('Has mention', mention),
+    results
+  ];
+  const foot = [btn('Close','btn', closeModal), btn('Search','btn btnPrimary', run)];
+  openModal('Search', body, foot);
+  setTimeout(()=> q.focus(), 20);
+}
+
+// mirrors groupCan() on the server; the server still checks every action
+function groupRoleOf(t, userId){
+  if(!t || t.type!=='group' || !(t.members||[]).includes(userId)) return null;
+  return (t.roles && t.roles[userId]) || 'member';
+}
+function groupCan(t, perm){
+  const role = state.user ? groupRoleOf(t, state.user.id) : null;
+  if(!role) return false;
+  if(role==='owner') return true;
+  return !!(t.permissions && t.permissions[role] && t.permissions[role][perm]);
+}
+
+const GROUP_ROLE_ORDER = ['owner','admin','moderator','member'];
+function canRemoveMessage(m){
+  if(isAdmin()) return true;
+  const t = state.threads.find(x => x.id === m.threadId);
+  if(t?.type !== 'group' || !groupCan(t, 'manageMessages')) return false;
+  const mine = GROUP_ROLE_ORDER.indexOf(groupRoleOf(t, state.user.id));
+  const theirs = GROUP_ROLE_ORDER.indexOf(groupRoleOf(t, m.senderId) || 'member');
+  return mine < theirs;
+}
+
+const PERMISSION_LABELS = { invite:'Invite', kick:'Kick', manageMessages:'Delete messages', rename:'Edit group', pin:'Pin' };
+
+async function openGroupSettings(){
   const t = state.threads.find(x => x.id === state.activeThreadId);
   if(!t || t.type!=='group') return;
 
-  const isOwner = t.roles && state.user && t.roles[state.user.id] === 'owner';
+  let data;
+  try{ data = await API.groupInfo(t.id); }
+  catch(e){ return toast('Group settings', e.message); }
+
+  const isOwner = groupRoleOf(t, state.user?.id) === 'owner';
   const body = [];
   const info = document.createElement('div');
   info.style.color='var(--muted)';
   info.innerHTML = `<div style="font-weight:950;color:var(--text);margin-bottom:6px">Group: ${escapeHtml(t.name)}</div>
-    <div>Owner can invite friends. (members vs owners permissions are stored in server roles).</div>`;
+    <div>Your role: ${escapeHtml(groupRoleOf(t, state.user?.id) || 'none')}</div>`;
   body.push(info);
 
-  if(isOwner){
+  if(groupCan(t, 'invite')){
     // invite friend
     const sel = document.createElement('select');
     const friends = state.online
-      .filter(o => state.friends.has(o.user.id))
+      .filter(o => state.friends.has(o.user.id) && !(t.members||[]).includes(o.user.id))
       .map(o => o.user)
       .sort((a,b)=>a.username.localeCompare(b.username));
     const opt0 = document.createElement('option'); opt0.value=''; opt0.textContent='Select friend...'; sel.appendChild(opt0);
@@ -839,16 +2218,258 @@ function openGroupSettings(){
     }));
   }
 
+  // members
+  const list = document.createElement('div');
+  list.className = 'groupMembers';
+  for(const mem of data.members){
+    const row = document.createElement('div'); row.className='row';
+    const l = document.createElement('label'); l.textContent = mem.username;
+    row.appendChild(l);
+    if(isOwner && mem.role!=='owner'){
+      const sel = document.createElement('select');
+      for(const role of data.roles.filter(x => x!=='owner')){
+        const o = document.createElement('option'); o.value=role; o.textContent=role; o.selected = role===mem.role;
+        sel.appendChild(o);
+      }
+      sel.addEventListener('change', async ()=>{
+        try{ await API.groupRole(t.id, mem.id, sel.value); toast('Role updated', mem.username + ' → ' + sel.value); }
+        catch(e){ toast('Role change failed', e.message); sel.value = mem.role; }
+      });
+      row.appendChild(sel);
+    } else {
+      const r = document.createElement('div'); r.className='msgNote'; r.textContent = mem.role;
+      row.appendChild(r);
+    }
+    const myRank = GROUP_ROLE_ORDER.indexOf(groupRoleOf(t, state.user?.id));
+    if(groupCan(t, 'kick') && myRank < GROUP_ROLE_ORDER.indexOf(mem.role)){
+      row.appendChild(btn('Remove','btn btnDanger', async ()=>{
+        try{ await API.groupKick(t.id, mem.id); toast('Removed', mem.username); row.remove(); }
+        catch(e){ toast('Remove failed', e.message); }
+      }));
+      row.appendChild(btn('Ban','btn btnDanger', async ()=>{
+        try{ await API.groupKick(t.id, mem.id, true); toast('Banned', mem.username); row.remove(); }
+        catch(e){ toast('Ban failed', e.message); }
+      }));
+    }
+    list.appendChild(row);
+  }
+  body.push(list);
+
+  // permission matrix: rows = permissions, columns = roles below owner
+  if(isOwner){
+    const roles = data.roles.filter(x => x!=='owner');
+    const perms = JSON.parse(JSON.stringify(data.group.permissions || {}));
+    const table = document.createElement('table');
+    table.className = 'permTable';
+    const head = document.createElement('tr');
+    head.appendChild(document.createElement('th'));
+    for(const role of roles){ const th = document.createElement('th'); th.textContent = role; head.appendChild(th); }
+    table.appendChild(head);
+    for(const p of data.permissionNames){
+      const tr = document.createElement('tr');
+      const td0 = document.createElement('td'); td0.textContent = PERMISSION_LABELS[p] || p; tr.appendChild(td0);
+      for(const role of roles){
+        const td = document.createElement('td');
+        const c = checkbox(perms[role] && perms[role][p]);
+        c.addEventListener('change', ()=>{ perms[role][p] = c.checked; });
+        td.appendChild(c); tr.appendChild(td);
+      }
+      table.appendChild(tr);
+    }
+    body.push(table);
+    body.push(btn('Save permissions','btn btnPrimary', async ()=>{
+      try{ await API.groupPermissions(t.id, perms); toast('Permissions saved'); }
+      catch(e){ toast('Save failed', e.message); }
+    }));
+  }
+
+  if(groupCan(t, 'rename')) body.push(buildGroupEdit(t));
+
+  if(groupCan(t, 'invite') && !state.user?.isGuest) body.push(buildInviteLinks(t));
+
+  if(isOwner && data.members.length > 1){
+    const sel = document.createElement('select');
+    for(const mem of data.members.filter(x => x.role!=='owner')){
+      const o = document.createElement('option'); o.value=mem.id; o.textContent=mem.username;
+      sel.appendChild(o);
+    }
+    body.push(labelRow('New owner', sel));
+    body.push(btn('Transfer ownership','btn', async ()=>{
+      try{ await API.groupTransfer(t.id, sel.value); toast('Ownership transferred'); closeModal(); }
+      catch(e){ toast('Transfer failed', e.message); }
+    }));
+  }
+
   const foot = [btn('Close','btn', closeModal)];
+  if(groupCan(t, 'manageMessages')) foot.unshift(btn('Moderation log','btn', ()=> openModLog(t.id)));
+  foot.unshift(btn('Leave group','btn btnDanger', async ()=>{
+    // last one out deletes the group; an owner hands it to the next highest role
+    try{ await API.groupLeave(t.id); closeModal(); toast('Left group', t.name); }
+    catch(e){ toast('Leave failed', e.message); }
+  }));
+  if(isOwner){
+    foot.unshift(btn('Delete group','btn btnDanger', ()=>{
+      openModal('Delete group', [Object.assign(document.createElement('div'), { className:'msgNote', textContent:`Delete “${t.name}” and all of its messages for everyone?` })], [
+        btn('Cancel','btn', closeModal),
+        btn('Delete','btn btnDanger', async ()=>{
+          try{ await API.groupDelete(t.id); closeModal(); toast('Group deleted', t.name); }
+          catch(e){ toast('Delete failed', e.message); }
+        })
+      ]);
+    }));
+  }
   openModal('Group settings', body, foot);
 }
 
+const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60, 300, 900];
+
+function buildGroupEdit(t){
+  const wrap = document.createElement('div');
+  const name = input('Group name', 'text', t.name || '');
+  name.maxLength = 40;
+  const desc = document.createElement('textarea');
+  desc.value = t.description || '';
+  desc.maxLength = 300;
+  desc.placeholder = 'What is this group about?';
+  const slow = document.createElement('select');
+  for(const sec of SLOW_MODE_OPTIONS){
+    const o = document.createElement('option'); o.value = sec; o.textContent = sec ? fmtSlowMode(sec) : 'Off';
+    slow.appendChild(o);
+  }
+  slow.value = String(t.slowMode || 0);
+  if(slow.value === '') { const o = document.createElement('option'); o.value = t.slowMode; o.textContent = fmtSlowMode(t.slowMode); slow.appendChild(o); slow.value = String(t.slowMode); }
+
+  const iconPick = document.createElement('input');
+  iconPick.type = 'file'; iconPick.accept = 'image/*'; iconPick.style.display = 'none';
+  iconPick.addEventListener('change', async ()=>{
+    const file = iconPick.files && iconPick.files[0];
+    iconPick.value = '';
+    if(!file) return;
+    try{
+      const up = await API.upload(t.id, file);
+      await API.groupSettings(t.id, { icon: { uploadId: up.attachment.id } });
+      toast('Icon updated');
+    }catch(e){ toast('Icon failed', e.message); }
+  });
+  const iconRow = document.createElement('div');
+  iconRow.style.display='flex'; iconRow.style.gap='8px'; iconRow.style.alignItems='center';
+  iconRow.appendChild(buildGroupIcon(t));
+  iconRow.appendChild(btn('Upload','btn', ()=> iconPick.click()));
+  iconRow.appendChild(btn('Random','btn', async ()=>{
+    try{ await API.groupSettings(t.id, { icon: 'generate' }); toast('Icon updated'); }
+    catch(e){ toast('Icon failed', e.message); }
+  }));
+  iconRow.appendChild(iconPick);
+
+  wrap.appendChild(labelRow('Name', name));
+  wrap.appendChild(labelRow('Description', desc));
+  wrap.appendChild(labelRow('Slow mode', slow));
+  wrap.appendChild(labelRow('Icon', iconRow));
+  const links = buildLinkPolicyEdit(t.links || { mode:'allow', domains:[], exempt:[] }, GROUP_LINK_EXEMPT);
+  wrap.appendChild(links.el);
+  wrap.appendChild(btn('Save group','btn btnPrimary', async ()=>{
+    try{
+      await API.groupSettings(t.id, { name: name.value, description: desc.value, slowMode: Number(slow.value), links: links.value() });
+      toast('Group updated');
+    }catch(e){ toast('Save failed', e.message); }
+  }));
+  return wrap;
+}
+
+const INVITE_EXPIRY = [['Never',0],['1 hour',3600_000],['1 day',86400_000],['7 days',7*86400_000]];
+const INVITE_USES = [['Unlimited',0],['1 use',1],['5 uses',5],['10 uses',10],['25 uses',25],['100 uses',100]];
+
+function inviteUrl(code){ return location.origin + '/invite/' + code; }
+
+function buildInviteLinks(t){
+  const wrap = document.createElement('div');
+  const expiry = document.createElement('select');
+  for(const [l,v] of INVITE_EXPIRY){ const o = document.createElement('option'); o.value=v; o.textContent=l; expiry.appendChild(o); }
+  expiry.value = String(86400_000);
+  const uses = document.createElement('select');
+  for(const [l,v] of INVITE_USES){ const o = document.createElement('option'); o.value=v; o.textContent=l; uses.appendChild(o); }
+  const list = document.createElement('div');
+  list.className = 'groupMembers';
+
+  async function reload(){
+    list.innerHTML = '';
+    try{
+      const r = await API.inviteLinks(t.id);
+      for(const inv of r.invites){
+        const row = document.createElement('div'); row.className='row';
+        const l = document.createElement('label');
+        l.textContent = inv.code;
+        l.title = inviteUrl(inv.code);
+        const meta = document.createElement('div'); meta.className='msgNote';
+        meta.textContent = `${inv.createdByName} • ${inv.uses}${inv.maxUses ? '/' + inv.maxUses : ''} uses • ${inv.expiresAt ? 'expires ' + fmtDateTime(inv.expiresAt) : 'no expiry'}`;
+        row.appendChild(l); row.appendChild(meta);
+        row.appendChild(btn('Copy','btn', ()=> copyText(inviteUrl(inv.code))));
+        row.appendChild(btn('Revoke','btn btnDanger', async ()=>{
+          try{ await API.inviteLinkRevoke(inv.code); row.remove(); toast('Invite revoked'); }
+          catch(e){ toast('Revoke failed', e.message); }
+        }));
+        list.appendChild(row);
+      }
+    }catch(e){ toast('Invite links', e.message); }
+  }
+
+  wrap.appendChild(labelRow('Link expires', expiry));
+  wrap.appendChild(labelRow('Max uses', uses));
+  wrap.appendChild(btn('Create invite link','btn btnPrimary', async ()=>{
+    try{
+      const r = await API.inviteLinkCreate(t.id, Number(expiry.value), Number(uses.value));
+      copyText(inviteUrl(r.invite.code));
+      reload();
+    }catch(e){ toast('Invite link failed', e.message); }
+  }));
+  wrap.appendChild(list);
+  reload();
+  return wrap;
+}
+
+function copyText(text){
+  navigator.clipboard.writeText(text)
+    .then(()=> toast('Copied', text))
+    .catch(()=> toast('Invite link', text));
+}
+
+// opened the page via /invite/<code>: ask once we know who is logged in
+async function promptInvite(){
+  const code = state.inviteCode;
+  if(!code || !state.user) return;
+  state.inviteCode = null;
+  history.replaceState(null, '', '/');
+  try{
+    const r = await API.invitePreview(code);
+    if(r.member){ await refreshThreads(); return setActiveThread(r.group.id); }
+    const note = document.createElement('div'); note.className='msgNote';
+    note.textContent = `Join “${r.group.name}” (${r.group.memberCount} member${r.group.memberCount===1?'':'s'}), invited by ${r.invite.createdByName}?`;
+    openModal('Group invite', [note], [
+      btn('Not now','btn', closeModal),
+      btn('Join','btn btnPrimary', async ()=>{
+        try{
+          const j = await API.inviteJoin(code);
+          closeModal();
+          toast('Joined group', r.group.name);
+          await refreshThreads();
+          setActiveThread(j.threadId);
+        }catch(e){ toast('Join failed', e.message); }
+      })
+    ]);
+  }catch(e){ toast('Invite', e.message); }
+}
+
 async function refreshThreads(){
   const r = await API.threads();
   state.threads = r.threads || [];
-  // ensure global exists
-  if(!state.threads.some(t=>t.id==='global')) state.threads.unshift({id:'global',type:'global',name:'Global'});
+  for(const t of state.threads){
+    if(t.id === state.activeThreadId) continue;
+    state.pendingPing.set(t.id, t.unread || 0);
+    state.mentionPing.set(t.id, t.mentions || 0);
+  }
   renderThreads();
+  const active = state.threads.find(t => t.id === state.activeThreadId);
+  if(active) updateThreadTopbar(active);
 }
 
 async function refreshMe(){
@@ -858,6 +2479,7 @@ async function refreshMe(){
   state.friends = new Set(r.friends || []);
   state.friendRequestsIn = new Set(r.friendRequestsIn || []);
   state.friendRequestsOut = new Set(r.friendRequestsOut || []);
+  state.sanctions = r.sanctions || [];
 }
 
 function connectSocket(){
@@ -868,12 +2490,15 @@ function connectSocket(){
   socket.on('connect', ()=>{
     hideLoading();
     toast('Connected');
-    // join active and global
-    ensureJoined('global');
-    ensureJoined(state.activeThreadId || 'global');
+    state.joined.clear(); // rooms don't survive a reconnect
+    // channels (for unread pings) + whatever is open
+    for(const t of state.threads) if(t.type==='channel') ensureJoined(t.id);
+    ensureJoined(state.activeThreadId || defaultThreadId());
+    refreshReportCount();
   });
 
   socket.on('connect_error', (err)=>{
+    if(err?.data?.sanction) return showBanNotice(err.data.sanction);
     showLoading('Connection failed…');
     toast('Socket error', err?.message || 'error');
   });
@@ -898,31 +2523,128 @@ function connectSocket(){
 
     // ping counters for inactive threads
     if(m.threadId !== state.activeThreadId){
+      if(state.user && m.senderId === state.user.id) return;
       const cur = state.pendingPing.get(m.threadId) || 0;
       state.pendingPing.set(m.threadId, cur + 1);
+      if(mentionsMe(m)) state.mentionPing.set(m.threadId, (state.mentionPing.get(m.threadId) || 0) + 1);
       renderThreads();
+      if(mentionsMe(m)) return; // mention:new pings for these
       if(m.type==='invite') playPing('invite');
       else if(m.type==='friend_request') playPing('friend');
-      else if(m.threadId==='global') playPing('global');
+      else if(state.threads.find(t => t.id === m.threadId)?.type === 'channel') playPing('channel');
       else playPing('dm');
     }else{
       // active thread: render
       addMessageToUI(m);
+      markRead();
+      if(mentionsMe(m)) return;
       if(m.type==='invite') playPing('invite');
       else if(m.type==='friend_request') playPing('friend');
-      else if(m.threadId==='global') playPing('global');
+      else if(state.threads.find(t => t.id === m.threadId)?.type === 'channel') playPing('channel');
       else playPing('dm');
     }
   });
 
   socket.on('message:edit', (payload)=>{
     if(!payload) return;
-    updateMessageUIEdit(payload.messageId, payload.content, payload.editedAt);
+    updateMessageUIEdit(payload.messageId, payload.content, payload.editedAt, payload.mentions);
+  });
+
+  socket.on('message:meta', (payload)=>{
+    const btns = payload && messageEl(payload.messageId)?.querySelector('.inviteBtns');
+    if(btns && payload.meta?.closed) btns.replaceWith(inviteClosedNote(payload.meta.closed));
   });
 
   socket.on('message:delete', (payload)=>{
     if(!payload) return;
-    updateMessageUIDelete(payload.messageId);
+    updateMessageUIDelete(payload.messageId, payload);
+  });
+
+  socket.on('typing:update', (payload)=>{
+    if(!payload) return;
+    state.typing.set(payload.threadId, payload.users || []);
+    if(payload.threadId === state.activeThreadId) renderTyping();
+  });
+
+  // read on another tab/device
+  socket.on('thread:read', (payload)=>{
+    if(!payload) return;
+    state.pendingPing.set(payload.threadId, 0);
+    state.mentionPing.set(payload.threadId, 0);
+    renderThreads();
+  });
+
+  socket.on('receipt:update', (payload)=>{
+    if(!payload || payload.threadId !== state.activeThreadId) return;
+    state.receipts.set(payload.userId, { userId: payload.userId, username: payload.username, messageId: payload.messageId });
+    renderReceipts();
+  });
+
+  // sent to us directly, whether or not we're in the thread's room
+  socket.on('mention:new', (payload)=>{
+    const m = payload?.message;
+    if(!m || state.blockedIds.has(m.senderId)) return;
+    const active = payload.threadId === state.activeThreadId;
+    if(!active && !state.joined.has(payload.threadId)){
+      state.pendingPing.set(payload.threadId, (state.pendingPing.get(payload.threadId) || 0) + 1);
+      state.mentionPing.set(payload.threadId, (state.mentionPing.get(payload.threadId) || 0) + 1);
+      if(state.threads.some(t => t.id === payload.threadId)) renderThreads();
+      else refreshThreads().catch(()=>{});
+    }
+    playPing('mention');
+    if(!active || !document.hasFocus()){
+      const where = payload.threadType==='dm' ? 'a DM' : (payload.threadType==='channel' ? '#' : '') + (payload.threadName || 'a chat');
+      toast(`${m.senderName} mentioned you in ${where}`, m.content);
+    }
+  });
+
+  socket.on('moderation:sanction', (payload)=>{
+    const s = payload?.sanction;
+    if(!s) return;
+    if(s.type==='ban') return showBanNotice(s);
+    state.sanctions = state.sanctions.filter(x => !(x.type===s.type && x.threadId===s.threadId)).concat(s);
+    const t = s.threadId ? state.threads.find(x => x.id === s.threadId) : null;
+    toast(SANCTION_LABEL[s.type] + (t ? ' in ' + threadDisplayName(t) : ''), `${sanctionExpiry(s)}: ${s.reason}`);
+  });
+
+  socket.on('report:update', (payload)=>{
+    state.openReports = payload?.open || 0;
+    renderReportsBtn();
+  });
+
+  socket.on('auth:lockout', (payload)=>{
+    const l = payload?.lockout;
+    if(l) toast('Login lockout', `${l.kind==='ip' ? 'IP' : 'Account'} ${l.name} until ${fmtDateTime(l.lockedUntil)}`);
+  });
+
+  socket.on('moderation:lifted', (payload)=>{
+    state.sanctions = state.sanctions.filter(x => x.id !== payload?.sanctionId);
+    toast((SANCTION_LABEL[payload?.type] || 'Sanction') + ' lifted');
+  });
+
+  socket.on('thread:pins', (payload)=>{
+    if(!payload) return;
+    applyPins(payload.threadId, payload.pins || []);
+  });
+
+  socket.on('thread:update', ()=>{
+    memberCache.clear();
+    refreshThreads().catch(()=>{});
+  });
+
+  // left, removed, or the group was deleted
+  socket.on('thread:removed', (payload)=>{
+    const id = payload?.threadId;
+    state.threads = state.threads.filter(t => t.id !== id);
+    state.pendingPing.delete(id);
+    state.mentionPing.delete(id);
+    if(state.activeThreadId === id) setActiveThread(defaultThreadId());
+    refreshThreads().catch(()=>{});
+  });
+
+  socket.on('message:reactions', (payload)=>{
+    if(!payload) return;
+    updateMessageUIReactions(payload.messageId, payload.reactions);
   });
 }
 
@@ -976,7 +2698,8 @@ function renderOnline(){
 
 // Cooldown UI
 let cooldownTimer = null;
-function startCooldown(ms){
+function startCooldown(ms, threadId){
+  state.cooldownThreadId = threadId;
   state.cooldownMs = ms;
   state.cooldownUntil = now() + ms;
   elCooldownBar.classList.add('show');
@@ -995,6 +2718,7 @@ function tickCooldown(){
     elCooldownBar.classList.remove('show');
     state.cooldownUntil = 0;
     state.cooldownMs = 0;
+    state.cooldownThreadId = null;
   }
 }
 function cooldownErrorPulse(){
@@ -1006,8 +2730,8 @@ function cooldownErrorPulse(){
 }
 
 // sending messages
-function canSendNow(){
-  return now() >= state.cooldownUntil;
+function canSendNow(threadId){
+  return threadId !== state.cooldownThreadId || now() >= state.cooldownUntil;
 }
 function clientId(){
   return (cryptoRandom(8) + '-' + now().toString(36));
@@ -1022,32 +2746,48 @@ async function sendMessage(){
   if(!state.socket || !state.user) return openAuthModal();
 
   const text = elComposer.value.trim();
-  if(!text) return;
+  const attachments = state.pendingAttachments.slice();
+  if(!text && !attachments.length) return;
+
+  const muted = postBlock(state.activeThreadId);
+  if(muted){
+    toast(SANCTION_LABEL[muted.type], `${sanctionExpiry(muted)}: ${muted.reason}`);
+    return;
+  }
 
-  // client-side link warning in global (server enforces)
-  if(state.activeThreadId==='global' && /(?:https?:\/\/|www\.)/i.test(text)){
-    toast('No links in global','Use DMs or groups for websites.');
+  // client-side link check against the thread's policy (server enforces)
+  const linkBlocked = linkBlockedReason(state.threads.find(t => t.id === state.activeThreadId), text);
+  if(linkBlocked){
+    toast('Link not allowed', linkBlocked);
     return;
   }
 
-  if(!canSendNow()){
+  if(!canSendNow(state.activeThreadId)){
     cooldownErrorPulse();
     return;
   }
 
   elComposer.value = '';
   autosize();
-
-  const payload = { threadId: state.activeThreadId, content: text, clientId: clientId() };
+  clearTimeout(typingStopTimer);
+  state.typingThreadId = null; // server clears our indicator on send
+  state.typingSentAt = 0;
+  const reply = state.replyTo;
+  setReplyTo(null);
+  clearPendingAttachments();
+
+  const payload = { threadId: state.activeThreadId, content: text, clientId: clientId(), replyTo: reply ? reply.id : null, attachments: attachments.map(a => a.id) };
   state.socket.emit('message:send', payload, (resp)=>{
     if(resp && resp.ok){
       if(resp.duplicate) return;
-      // cooldown: only applies to global; server returns error otherwise
+      // slow-mode groups: show the wait up front (channels only report it when hit)
+      const t = state.threads.find(x => x.id === payload.threadId);
+      if(t && t.slowMode && !groupCan(t, 'manageMessages')) startCooldown(t.slowMode * 1000, payload.threadId);
     }else{
       const err = resp?.error || 'error';
-      if(String(err).startsWith('Cooldown:')){
-        const ms = parseInt(String(err).split(':')[1],10) || 1200;
-        startCooldown(ms);
+      const ms = cooldownMs(err);
+      if(ms){
+        startCooldown(ms, payload.threadId);
         cooldownErrorPulse();
       }else{
         toast('Send failed', err);
@@ -1055,6 +2795,11 @@ async function sendMessage(){
       // restore text if failed
       elComposer.value = text;
       autosize();
+      if(reply && !state.replyTo && payload.threadId === state.activeThreadId) setReplyTo(reply);
+      if(attachments.length && payload.threadId === state.activeThreadId){
+        state.pendingAttachments = attachments.concat(state.pendingAttachments);
+        renderAttachBar();
+      }
     }
   });
 }
@@ -1084,16 +2829,75 @@ function autosize(){
   elComposer.style.height = clamp(elComposer.scrollHeight, 18, 140) + 'px';
 }
 
+// channels (site admins): edit the open channel or create a new one
+function openChannelSettings(){
+  if(!isAdmin()) return;
+  const active = state.threads.find(t => t.id === state.activeThreadId);
+  const editing = active?.type==='channel' ? active : null;
+  const p = editing?.policy || { guests:'write', links:{ mode:'deny', domains:[], exempt:[] }, cooldownUser:3000, cooldownGuest:5000 };
+
+  const name = input('channel-name', 'text', editing ? editing.name : '');
+  const topic = input('Topic', 'text', editing ? editing.topic : '');
+  const guests = document.createElement('select');
+  for(const [v,l] of [['write','Can write'],['read','Read only'],['none','Hidden']]){
+    const o = document.createElement('option'); o.value=v; o.textContent=l; guests.appendChild(o);
+  }
+  guests.value = p.guests;
+  const links = buildLinkPolicyEdit(p.links, CHANNEL_LINK_EXEMPT);
+  const cdUser = input('ms', 'number', String(p.cooldownUser));
+  const cdGuest = input('ms', 'number', String(p.cooldownGuest));
+  const makeDefault = checkbox(!!editing?.isDefault);
+  makeDefault.disabled = !!editing?.isDefault;
+
+  const data = ()=> ({
+    name: name.value, topic: topic.value,
+    policy: { guests: guests.value, links: links.value(), cooldownUser: Number(cdUser.value), cooldownGuest: Number(cdGuest.value) }
+  });
+  const body = [
+    labelRow('Name', name), labelRow('Topic', topic), labelRow('Guests', guests), links.el,
+    labelRow('Cooldown (users)', cdUser), labelRow('Cooldown (guests)', cdGuest),
+  ];
+  if(editing) body.push(rowChk('Default channel', makeDefault));
+
+  const foot = [btn('Close','btn', closeModal)];
+  if(editing && !editing.isDefault){
+    foot.push(btn('Delete','btn btnDanger', async ()=>{
+      try{ await API.channelDelete(editing.id); toast('Channel deleted', '#' + editing.name); closeModal(); }
+      catch(e){ toast('Delete failed', e.message); }
+    }));
+  }
+  foot.push(btn('Create new','btn', async ()=>{
+    try{
+      const r = await API.channelCreate(data());
+      closeModal();
+      await refreshThreads();
+      setActiveThread(r.threadId);
+      ensureJoined(r.threadId);
+    }catch(e){ toast('Create failed', e.message); }
+  }));
+  if(editing){
+    foot.push(btn('Save','btn btnPrimary', async ()=>{
+      try{
+        await API.channelUpdate(editing.id, { ...data(), isDefault: makeDefault.checked || undefined });
+        toast('Channel saved'); closeModal();
+      }catch(e){ toast('Save failed', e.message); }
+    }));
+  }
+  openModal(editing ? `Channel #${editing.name}` : 'New channel', body, foot);
+}
+
 // announce
 function openAnnounce(){
   if(!state.user || state.user.isGuest) return toast('Forbidden');
+  const active = state.threads.find(t => t.id === state.activeThreadId);
+  const channel = active?.type==='channel' ? active : state.threads.find(t => t.id === defaultThreadId());
   const ta = document.createElement('textarea');
-  ta.placeholder = 'Announcement (global)';
+  ta.placeholder = `Announcement (#${channel?.name || 'channel'})`;
   const foot = [
     btn('Cancel','btn', closeModal),
     btn('Send','btn btnPrimary', async ()=>{
       try{
-        await API.announce(ta.value.trim());
+        await API.announce(ta.value.trim(), channel?.id);
         toast('Announcement sent');
         closeModal();
       }catch(e){ toast('Failed', e.message); }
@@ -1106,34 +2910,54 @@ function openAnnounce(){
 // wire UI
 elSendBtn.addEventListener('click', sendMessage);
 elComposer.addEventListener('keydown', (e)=>{
+  if(mentionKeydown(e)) return;
   if(e.key==='Enter' && !e.shiftKey){
     e.preventDefault();
     sendMessage();
   }
+  if(e.key==='Escape' && state.replyTo) setReplyTo(null);
+});
+$('#replyCancel').addEventListener('click', ()=> setReplyTo(null));
+$('#attachBtn').addEventListener('click', ()=> elFileInput.click());
+elFileInput.addEventListener('change', ()=>{
+  const files = Array.from(elFileInput.files || []);
+  elFileInput.value = '';
+  if(files.length) uploadFiles(files);
 });
-elComposer.addEventListener('input', ()=> { autosize(); activity(); });
+elComposer.addEventListener('input', ()=> { autosize(); activity(); typingTick(); updateMentionBox(); });
+elComposer.addEventListener('blur', ()=> setTimeout(hideMentionBox, 100));
 window.addEventListener('mousemove', activity, { passive:true });
 window.addEventListener('keydown', activity, { passive:true });
 window.addEventListener('click', activity, { passive:true });
+window.addEventListener('focus', markRead);
 
 elBtnSettings.addEventListener('click', openSettings);
 elBtnProfile.addEventListener('click', openProfile);
 elBtnAuth.addEventListener('click', openAuthModal);
 elBtnNew.addEventListener('click', openNewChat);
-elBtnLogout.addEventListener('click', ()=>{
+function logout(){
   setToken(null);
   state.user = null;
+  state.sanctions = [];
+  state.openReports = 0;
   state.socket?.disconnect();
   state.socket = null;
-  state.threads = [{id:'global',type:'global',name:'Global'}];
-  state.activeThreadId = 'global';
+  state.threads = [PLACEHOLDER_CHANNEL];
+  state.activeThreadId = PLACEHOLDER_CHANNEL.id;
   renderThreads();
   renderMessages([]);
   setMe(null);
+}
+elBtnLogout.addEventListener('click', ()=>{
+  logout();
   toast('Logged out');
 });
 elBtnAnnounce.addEventListener('click', openAnnounce);
 elBtnGroup.addEventListener('click', openGroupSettings);
+elBtnChannel.addEventListener('click', openChannelSettings);
+elBtnReports.addEventListener('click', openReports);
+elBtnSearch.addEventListener('click', openSearch);
+elBtnPins.addEventListener('click', openPins);
 
 // boot
 async function afterLogin(){
@@ -1141,8 +2965,9 @@ async function afterLogin(){
     await refreshMe();
     await refreshThreads();
     renderThreads();
-    setActiveThread('global');
+    setActiveThread(defaultThreadId());
     connectSocket();
+    promptInvite();
   }catch(e){
     toast('Init failed', e.message);
     showLoading('Init failed…');
@@ -1157,7 +2982,7 @@ async function boot(){
   document.documentElement.style.setProperty('--bg','#000');
 
   // set placeholder state
-  state.threads = [{id:'global',type:'global',name:'Global'}];
+  state.threads = [PLACEHOLDER_CHANNEL];
   renderThreads();
   renderMessages([]);
 
@@ -1172,16 +2997,18 @@ async function boot(){
     await refreshMe();
     await refreshThreads();
     renderThreads();
-    setActiveThread(state.activeThreadId || 'global');
+    setActiveThread(defaultThreadId());
     connectSocket();
     hideLoading();
+    promptInvite();
     // beta popup only on first account creation (handled during register) OR first time per id
     // If user has token but never saw: keep optional
   }catch(e){
     setToken(null);
     setMe(null);
     hideLoading();
-    toast('Session expired', 'Please login again.');
+    if(e.sanction) showBanNotice(e.sanction);
+    else toast('Session expired', 'Please login again.');
   }
   // idle check loop
   setInterval(idleTick, 10_000);
@@ -0,0 +1,46 @@
+'use strict';
+/**
+ * ratelimit.js (Node ONLY) — in-memory token buckets
+ * - a bucket holds up to `burst` tokens and gains one every `every` ms
+ * - take() spends one token from each bucket it is given, or none: a request that is
+ *   refused by its IP bucket doesn't also use up the user's
+ * - buckets that have refilled completely are dropped by sweep()
+ */
+
+/**
+ * createRateLimiter()
+ * take([{ key, burst, every }]) -> 0 when allowed, otherwise ms until it would be
+ */
+function createRateLimiter() {
+  const buckets = new Map(); // key -> { tokens, at, full: ms when back to burst }
+
+  function level(key, burst, every, now) {
+    const b = buckets.get(key);
+    if (!b) return burst;
+    return Math.min(burst, b.tokens + (now - b.at) / every);
+  }
+
+  function take(specs) {
+    const now = Date.now();
+    let wait = 0;
+    const levels = specs.map(s => level(s.key, s.burst, s.every, now));
+    specs.forEach((s, i) => {
+      if (levels[i] < 1) wait = Math.max(wait, Math.ceil((1 - levels[i]) * s.every));
+    });
+    if (wait) return wait;
+    specs.forEach((s, i) => {
+      const tokens = levels[i] - 1;
+      buckets.set(s.key, { tokens, at: now, full: now + (s.burst - tokens) * s.every });
+    });
+    return 0;
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [key, b] of buckets.entries()) if (b.full <= now) buckets.delete(key);
+  }
+
+  return { take, sweep, size: () => buckets.size };
+}
+
+module.exports = { createRateLimiter };
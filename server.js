@@ -6,52 +6,94 @@
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { domainToASCII } = require('url');
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { Server } = require('socket.io');
+const { createStore } = require('./storage');
+const { runMigrations } = require('./migrations');
+const { TYPES: UPLOAD_TYPES, sniffType, stripMetadata } = require('./media');
+const { RULE_KINDS, RULE_ACTIONS, RULE_SCOPES, compileRule, scanText } = require('./filter');
+const { createRateLimiter } = require('./ratelimit');
+const { createAuthGuard } = require('./authguard');
 
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_change_me';
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 const PUBLIC_DIR = path.join(__dirname, 'public');
+const UPLOAD_DIR = path.join(DATA_DIR, 'uploads');
 
 const BETA_USERS = new Set((process.env.BETA_USERS || '').split(',').map(s => s.trim()).filter(Boolean));
 const EARLY_ACCESS_USERS = new Set((process.env.EARLY_ACCESS_USERS || '').split(',').map(s => s.trim()).filter(Boolean));
 const ANNOUNCEMENT_USERS = new Set((process.env.ANNOUNCEMENT_USERS || '').split(',').map(s => s.trim()).filter(Boolean));
+const ADMIN_USERS = new Set((process.env.ADMIN_USERS || '').split(',').map(s => s.trim()).filter(Boolean));
+// behind a reverse proxy: take the client IP from X-Forwarded-For (Express 'trust proxy' value, e.g. 1 or loopback)
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+// leading zero bits of the login proof-of-work once an account / IP keeps failing; 0 turns the check off
+const AUTH_CHALLENGE_BITS = Math.min(24, Math.max(0, Number(process.env.AUTH_CHALLENGE_BITS ?? 16) || 0));
 
 const COOLDOWN_GUEST_GLOBAL = 5000;
 const COOLDOWN_USER_GLOBAL = 3000;
+const SLOW_MODE_MAX = 60 * 60; // seconds
+const MAX_PINS = 50; // per thread
+const MAX_MENTIONS = 20; // per message; extra names stay plain text
+const GROUP_DESCRIPTION_MAX = 300;
 const EDIT_WINDOW = 60 * 1000;
+const REVISIONS_MAX = 10; // earlier versions kept per message; the oldest go first
+const REVISION_RETENTION = 30 * 24 * 60 * 60 * 1000; // old versions + the text of deleted messages
+const MAX_REACTION_EMOJI = 20; // distinct emoji per message
+const UNREAD_CAP = 100; // badge shows 99+ past this; also bounds the scan
+const RECEIPT_MAX_MEMBERS = 10; // "seen by" only in DMs and groups up to this size
+const TYPING_TTL = 6000; // indicator expires unless refreshed
+const TYPING_THROTTLE = 2000; // min gap between typing:start broadcasts per user per thread
+
+// attachments: per-file limits by thread type (channels are images-only and smaller) + a rolling per-user quota
+const UPLOAD_LIMITS = {
+  channel: { maxBytes: 2 * 1024 * 1024, kinds: ['image'] },
+  dm: { maxBytes: 8 * 1024 * 1024, kinds: ['image', 'file'] },
+  group: { maxBytes: 8 * 1024 * 1024, kinds: ['image', 'file'] },
+};
+const UPLOAD_MAX_BYTES = 8 * 1024 * 1024;
+const UPLOAD_DAILY_BYTES = 100 * 1024 * 1024;
+const UPLOAD_ORPHAN_TTL = 60 * 60 * 1000; // uploaded but never sent
+const MAX_ATTACHMENTS = 4;
+const SANCTION_MAX_DURATION = 365 * 24 * 60 * 60 * 1000;
+const TIMEOUT_MAX_DURATION = 28 * 24 * 60 * 60 * 1000;
+const SANCTION_REASON_MAX = 200;
+const REPORT_NOTE_MAX = 300;
+const REMOVAL_REASON_MAX = 200;
+const BULK_DELETE_MAX = 200; // messages per bulk delete
+const BULK_DELETE_WINDOW_MAX = 7 * 24 * 60 * 60 * 1000;
+const FILTER_RULES_MAX = 500;
 
 fs.mkdirSync(DATA_DIR, { recursive: true });
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// storage: append-only log + snapshot (see storage.js); each write touches one record
+const store = createStore({
+  dir: DATA_DIR,
+  collections: {
+    users: { byName: u => String(u.username || '').toLowerCase() },
+    threads: { byType: t => t.type, byMember: t => t.members || [] },
+    messages: { byThread: m => m.threadId, withHistory: m => hasHistory(m) ? 1 : null },
+    reads: { byUser: r => r.userId, byThread: r => r.threadId },
+    uploads: { byUser: u => u.userId, byMessage: u => u.messageId },
+    invites: { byThread: i => i.threadId },
+    sanctions: { byUser: s => s.userId },
+    modLog: { byThread: e => e.threadId },
+    filterRules: {},
+    reports: { byTarget: r => r.targetKey, byStatus: r => r.status },
+    meta: {},
+  },
+});
 
-function readJson(file, fallback) {
-  try {
-    const p = path.join(DATA_DIR, file);
-    if (!fs.existsSync(p)) return fallback;
-    return JSON.parse(fs.readFileSync(p, 'utf8'));
-  } catch { return fallback; }
-}
-function writeJson(file, data) {
-  const p = path.join(DATA_DIR, file);
-  const tmp = p + '.tmp';
-  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
-  fs.renameSync(tmp, p);
-}
-
-const db = {
-  users: readJson('users.json', []),
-  threads: readJson('threads.json', []),
-  messages: readJson('messages.json', []),
-};
-
-function persist() {
-  writeJson('users.json', db.users);
-  writeJson('threads.json', db.threads);
-  writeJson('messages.json', db.messages);
-}
+function saveUser(u) { store.put('users', u); }
+function saveThread(t) { store.put('threads', t); }
+function saveMessage(m) { store.put('messages', m); }
+// earlier versions, or a deleted message's text that retention hasn't cleared yet
+function hasHistory(m) { return (m.revisions || []).length > 0 || (!!m.deletedAt && !m.purgedAt); }
 
 function uid(prefix = '') { return prefix + crypto.randomBytes(12).toString('hex'); }
 
@@ -61,6 +103,22 @@ function sanitizeUsername(name) {
   return s;
 }
 
+// bring data/ up to the current schema before anything reads it; refuse to boot on data we can't convert
+try {
+  runMigrations(store, {
+    dataDir: DATA_DIR,
+    uid,
+    stableColor,
+    hashPassword: (pw) => bcrypt.hashSync(pw, 10),
+    log: (line) => console.log('[migrate] ' + line),
+  });
+} catch (e) {
+  console.error('[migrate] ' + e.message);
+  console.error('[migrate] refusing to start; fix or move the file above and restart.');
+  store.close();
+  process.exit(1);
+}
+
 function signToken(payload) { return jwt.sign(payload, JWT_SECRET, { expiresIn: '7d' }); }
 function verifyToken(token) { try { return jwt.verify(token, JWT_SECRET); } catch { return null; } }
 
@@ -90,8 +148,14 @@ function ensureBadges(user) {
   if (BETA_USERS.has(user.username)) set.add('BETA');
   if (EARLY_ACCESS_USERS.has(user.username)) set.add('EARLY ACCESS');
   if (ANNOUNCEMENT_USERS.has(user.username)) set.add('ANNOUNCEMENT');
+  if (ADMIN_USERS.has(user.username) && !user.isGuest) set.add('ADMIN');
   user.badges = Array.from(set);
 }
+function isSiteAdmin(user) {
+  if (!user || user.isGuest) return false;
+  ensureBadges(user);
+  return user.badges.includes('ADMIN');
+}
 
 function getUserPublic(u) {
   normalizeUser(u);
@@ -109,34 +173,270 @@ function getUserPublic(u) {
   };
 }
 
-function findUserById(id) { return db.users.find(u => u.id === id); }
+function findUserById(id) { return store.get('users', id); }
 function findUserByName(username) {
-  return db.users.find(u => u.username.toLowerCase() === String(username || '').toLowerCase());
+  return store.findOne('users', 'byName', String(username || '').toLowerCase());
 }
 
-function ensureGlobalThread() {
-  let t = db.threads.find(x => x.type === 'global');
-  if (!t) {
-    t = { id: 'global', type: 'global', name: 'Global', members: [], createdBy: null, createdAt: Date.now() };
-    db.threads.unshift(t);
+// link policies: channels keep theirs in policy.links, groups in thread.links, DMs allow everything.
+// mode allow | deny | allowlist (listed domains and their subdomains); `exempt` names the badges
+// (channels) or group roles that skip the check.
+const LINK_MODES = ['allow', 'deny', 'allowlist'];
+const LINK_DOMAINS_MAX = 50;
+const CHANNEL_LINK_EXEMPT = ['ADMIN', 'ANNOUNCEMENT'];
+const GROUP_LINK_EXEMPT = ['owner', 'admin', 'moderator'];
+const DEFAULT_GROUP_LINKS = { mode: 'allow', domains: [], exempt: [] };
+const ALLOW_ALL_LINKS = { mode: 'allow', domains: [], exempt: [] };
+
+// a link is anything with http(s):// or www., or a bare host followed by a path ("example.com/x").
+// A bare "file.io" or "index.js" is ordinary text. Must match LINK_RE in public/markdown.js.
+const LINK_RE = /(?:\bhttps?:\/\/|(?<![\p{L}\p{N}@.\/-])www\.)[^\s<>]+|(?<![\p{L}\p{N}@.\/-])[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}\/[^\s<>]*/giu;
+const LINK_TRAILING = '.,;:!?)]}\'"*_~|`';
+
+// punctuation after a URL is usually prose, except a ")" closing a "(" inside it (wiki links)
+function trimLink(raw) {
+  let s = raw;
+  while (s && LINK_TRAILING.includes(s[s.length - 1])) {
+    if (s.endsWith(')') && s.split('(').length >= s.split(')').length) break;
+    s = s.slice(0, -1);
+  }
+  return s;
+}
+
+// host comes out lowercased and punycoded ("bücher.de" -> "xn--bcher-kva.de")
+function parseLink(raw) {
+  try {
+    const u = new URL(/^https?:\/\//i.test(raw) ? raw : 'http://' + raw);
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+    return { href: u.href, host: u.hostname.replace(/\.$/, '') };
+  } catch {
+    return null;
+  }
+}
+
+function findLinks(s) {
+  const out = [];
+  for (const m of String(s || '').matchAll(LINK_RE)) {
+    const raw = trimLink(m[0]);
+    const link = parseLink(raw);
+    // something that starts like a URL but doesn't parse still counts, with no host to allow
+    if (link) out.push(link);
+    else if (/^(?:https?:\/\/|www\.)/i.test(raw)) out.push({ href: null, host: '' });
+  }
+  return out;
+}
+
+function normalizeDomain(d) {
+  let s = String(d || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/?#].*$/, '');
+  s = s.replace(/^\*?\./, '').replace(/\.$/, '');
+  const ascii = domainToASCII(s);
+  return ascii && ascii.includes('.') ? ascii : null;
+}
+
+// stored values (older channels had links: true/false)
+function normalizeLinkPolicy(v, fallback, exemptChoices) {
+  if (typeof v === 'boolean') return { mode: v ? 'allow' : 'deny', domains: [], exempt: [] };
+  if (!v || typeof v !== 'object' || !LINK_MODES.includes(v.mode)) return { ...fallback, domains: [...fallback.domains], exempt: [...fallback.exempt] };
+  return {
+    mode: v.mode,
+    domains: (Array.isArray(v.domains) ? v.domains : []).filter(d => typeof d === 'string'),
+    exempt: (Array.isArray(v.exempt) ? v.exempt : []).filter(r => exemptChoices.includes(r)),
+  };
+}
+
+// request bodies: domains as an array or a comma/space separated string; throws on bad input
+function linkPolicyFromBody(v, exemptChoices) {
+  if (typeof v === 'boolean') return { mode: v ? 'allow' : 'deny', domains: [], exempt: [] };
+  if (!v || typeof v !== 'object' || !LINK_MODES.includes(v.mode)) throw new Error('Invalid link policy.');
+  const domains = [];
+  for (const d of (Array.isArray(v.domains) ? v.domains : String(v.domains || '').split(/[\s,]+/))) {
+    if (!String(d).trim()) continue;
+    const n = normalizeDomain(d);
+    if (!n) throw new Error('Invalid domain: ' + String(d).slice(0, 60));
+    if (!domains.includes(n)) domains.push(n);
+  }
+  if (domains.length > LINK_DOMAINS_MAX) throw new Error(`At most ${LINK_DOMAINS_MAX} domains.`);
+  if (v.mode === 'allowlist' && !domains.length) throw new Error('Add at least one allowed domain.');
+  const exempt = (Array.isArray(v.exempt) ? v.exempt : []).filter(r => exemptChoices.includes(r));
+  return { mode: v.mode, domains, exempt: Array.from(new Set(exempt)) };
+}
+
+function linkPolicyFor(thread) {
+  if (thread && thread.type === 'channel') { normalizeChannel(thread); return thread.policy.links; }
+  if (thread && thread.type === 'group') { normalizeGroup(thread); return thread.links; }
+  return ALLOW_ALL_LINKS;
+}
+
+function linkExempt(thread, user, policy) {
+  if (!policy.exempt.length) return false;
+  if (thread.type === 'channel') { ensureBadges(user); return policy.exempt.some(b => user.badges.includes(b)); }
+  return policy.exempt.includes(groupRole(thread, user.id));
+}
+
+function hostAllowed(policy, host) {
+  if (policy.mode === 'allow') return true;
+  if (policy.mode === 'deny' || !host) return false;
+  return policy.domains.some(d => host === d || host.endsWith('.' + d));
+}
+
+// -> error message for the first link the thread doesn't allow, or null
+function linkViolation(thread, user, content) {
+  const policy = linkPolicyFor(thread);
+  if (policy.mode === 'allow' || linkExempt(thread, user, policy)) return null;
+  for (const link of findLinks(content)) {
+    if (hostAllowed(policy, link.host)) continue;
+    if (policy.mode === 'deny') return 'Links are not allowed here.';
+    return link.host ? `Links to ${link.host} are not allowed here.` : 'That link is not allowed here.';
+  }
+  return null;
+}
+
+// site moderation: ban = no access at all, mute = can't post anywhere, timeout = can't post in one
+// thread. expiresAt null means permanent (bans and mutes only); lifting keeps the record.
+const SANCTION_TYPES = ['ban', 'mute', 'timeout'];
+
+function sanctionActive(s) { return !s.liftedAt && (!s.expiresAt || s.expiresAt > Date.now()); }
+function activeSanctions(userId) { return store.find('sanctions', 'byUser', userId).filter(sanctionActive); }
+function activeSanction(userId, type, threadId) {
+  return activeSanctions(userId).find(s => s.type === type && (type !== 'timeout' || s.threadId === threadId)) || null;
+}
+function sanctionPublic(s) {
+  return { id: s.id, userId: s.userId, type: s.type, threadId: s.threadId || null, reason: s.reason, createdAt: s.createdAt, expiresAt: s.expiresAt };
+}
+
+function fmtDuration(ms) {
+  const m = Math.max(1, Math.ceil(ms / 60000));
+  if (m < 60) return m + 'm';
+  const h = Math.floor(m / 60);
+  if (h < 48) return h + 'h' + (m % 60 ? ' ' + (m % 60) + 'm' : '');
+  return Math.floor(h / 24) + 'd';
+}
+// "You are muted: spam. Expires in 2h 5m."
+function sanctionText(s) {
+  const what = s.type === 'ban' ? 'banned' : s.type === 'mute' ? 'muted' : 'timed out in this chat';
+  const until = s.expiresAt ? `Expires in ${fmtDuration(s.expiresAt - Date.now())}.` : 'This is permanent.';
+  return `You are ${what}: ${s.reason}. ${until}`;
+}
+
+// throws when the user may not post in threadId (muted anywhere, timed out there, or a guest in a
+// channel guests can only read). Sending, editing, reacting, pinning and typing all go through here
+function assertCanPost(user, threadId) {
+  const s = activeSanction(user.id, 'mute') || activeSanction(user.id, 'timeout', threadId);
+  if (s) throw new Error(sanctionText(s));
+  const t = user.isGuest ? threadById(threadId) : null;
+  if (t && t.type === 'channel') {
+    normalizeChannel(t);
+    if (t.policy.guests !== 'write') throw new Error('Guests can only read this channel.');
   }
 }
-ensureGlobalThread();
 
-function threadById(threadId) { return db.threads.find(t => t.id === threadId); }
+// public channels: everyone can read (guests per policy); only site admins manage them
+const CHANNEL_GUEST_ACCESS = ['write', 'read', 'none'];
+const DEFAULT_CHANNEL_POLICY = { guests: 'write', links: { mode: 'deny', domains: [], exempt: [] }, cooldownUser: COOLDOWN_USER_GLOBAL, cooldownGuest: COOLDOWN_GUEST_GLOBAL };
+const CHANNEL_COOLDOWN_MAX = 10 * 60 * 1000;
+
+function normalizeChannel(t) {
+  if (t.type !== 'channel') return;
+  t.members = [];
+  t.topic = typeof t.topic === 'string' ? t.topic : '';
+  const p = t.policy && typeof t.policy === 'object' ? t.policy : {};
+  t.policy = {
+    guests: CHANNEL_GUEST_ACCESS.includes(p.guests) ? p.guests : DEFAULT_CHANNEL_POLICY.guests,
+    links: normalizeLinkPolicy(p.links, DEFAULT_CHANNEL_POLICY.links, CHANNEL_LINK_EXEMPT),
+    cooldownUser: Number.isFinite(p.cooldownUser) ? p.cooldownUser : DEFAULT_CHANNEL_POLICY.cooldownUser,
+    cooldownGuest: Number.isFinite(p.cooldownGuest) ? p.cooldownGuest : DEFAULT_CHANNEL_POLICY.cooldownGuest,
+  };
+}
+
+function channelReadable(t, user) {
+  normalizeChannel(t);
+  return !!user && (!user.isGuest || t.policy.guests !== 'none');
+}
+
+// the landing channel; recreated if the store has none at all
+function ensureDefaultChannel() {
+  const channels = store.find('threads', 'byType', 'channel');
+  if (channels.some(t => t.isDefault)) return;
+  const t = channels[0] || { id: 'global', type: 'channel', name: 'global', createdBy: null, createdAt: Date.now() };
+  t.isDefault = true;
+  normalizeChannel(t);
+  saveThread(t);
+}
+ensureDefaultChannel();
+function defaultChannel() { return store.find('threads', 'byType', 'channel').find(t => t.isDefault); }
+
+function threadById(threadId) { return store.get('threads', threadId); }
 function threadAllowed(threadId, userId) {
-  if (threadId === 'global') return true;
   const t = threadById(threadId);
   if (!t) return false;
+  if (t.type === 'channel') return channelReadable(t, findUserById(userId));
   return Array.isArray(t.members) && t.members.includes(userId);
 }
 
+// group roles, highest first; the owner can do everything, the rest follow thread.permissions
+const GROUP_ROLES = ['owner', 'admin', 'moderator', 'member'];
+const GROUP_PERMISSIONS = ['invite', 'kick', 'manageMessages', 'rename', 'pin'];
+const DEFAULT_GROUP_PERMISSIONS = {
+  admin: { invite: true, kick: true, manageMessages: true, rename: true, pin: true },
+  moderator: { invite: true, kick: true, manageMessages: true, rename: false, pin: true },
+  member: { invite: false, kick: false, manageMessages: false, rename: false, pin: false },
+};
+
 function normalizeGroup(thread) {
   if (thread.type !== 'group') return;
+  thread.members = Array.isArray(thread.members) ? thread.members : [];
   thread.roles = thread.roles && typeof thread.roles === 'object' ? thread.roles : {};
-  if (thread.createdBy && !thread.roles[thread.createdBy]) thread.roles[thread.createdBy] = 'owner';
+  for (const id of Object.keys(thread.roles)) {
+    if (!thread.members.includes(id)) delete thread.roles[id];
+    else if (!GROUP_ROLES.includes(thread.roles[id])) thread.roles[id] = 'member';
+  }
+  // older records had no roles at all: the creator owns it. Otherwise keep exactly one owner.
+  if (!Object.values(thread.roles).includes('owner')) {
+    const next = thread.members.includes(thread.createdBy) ? thread.createdBy : groupSuccessor(thread);
+    if (next) thread.roles[next] = 'owner';
+  }
+  const perms = thread.permissions && typeof thread.permissions === 'object' ? thread.permissions : {};
+  for (const role of Object.keys(DEFAULT_GROUP_PERMISSIONS)) {
+    const row = perms[role] && typeof perms[role] === 'object' ? perms[role] : {};
+    for (const p of GROUP_PERMISSIONS) row[p] = typeof row[p] === 'boolean' ? row[p] : DEFAULT_GROUP_PERMISSIONS[role][p];
+    perms[role] = row;
+  }
+  thread.permissions = perms;
+  thread.bans = Array.isArray(thread.bans) ? thread.bans : [];
+  thread.description = typeof thread.description === 'string' ? thread.description : '';
+  thread.slowMode = Number.isInteger(thread.slowMode) ? thread.slowMode : 0;
+  thread.links = normalizeLinkPolicy(thread.links, DEFAULT_GROUP_LINKS, GROUP_LINK_EXEMPT);
+  if (!thread.icon) thread.icon = { type: 'generated', color: stableColor(thread.id) };
+}
+// highest role first, then whoever joined earliest (members keeps join order)
+function groupSuccessor(thread, exceptId) {
+  let best = null;
+  let bestRank = Infinity;
+  for (const id of thread.members) {
+    if (id === exceptId) continue;
+    const rank = GROUP_ROLES.indexOf(thread.roles[id] || 'member');
+    if (rank < bestRank) { best = id; bestRank = rank; }
+  }
+  return best;
 }
 function isGroupOwner(thread, userId) { normalizeGroup(thread); return thread.roles && thread.roles[userId] === 'owner'; }
+function groupRole(thread, userId) {
+  normalizeGroup(thread);
+  if (!(thread.members || []).includes(userId)) return null;
+  return thread.roles[userId] || 'member';
+}
+function groupCan(thread, userId, perm) {
+  const role = groupRole(thread, userId);
+  if (!role) return false;
+  if (role === 'owner') return true;
+  return !!(thread.permissions[role] && thread.permissions[role][perm]);
+}
+// acting on another member (kick, role change) needs a strictly higher role
+function outranks(thread, actorId, targetId) {
+  const a = GROUP_ROLES.indexOf(groupRole(thread, actorId));
+  const b = GROUP_ROLES.indexOf(groupRole(thread, targetId) || 'member');
+  return a !== -1 && a < b;
+}
 
 function isBlocked(aUser, bUserId) { normalizeUser(aUser); return aUser.blocked.includes(bUserId); }
 function eitherBlocked(aId, bId) {
@@ -146,28 +446,36 @@ function eitherBlocked(aId, bId) {
   return isBlocked(a, bId) || isBlocked(b, aId);
 }
 
-// profanity / explicit filter (best-effort, server-side)
-const BAD_PATTERNS = [
-  /n[\W_]*[i1l!][\W_]*g[\W_]*g[\W_]*[e3][\W_]*r/gi,
-  /\b(porn|p0rn|hentai|xxx|xvideos|pornhub|onlyfans)\b/gi,
-  /\b(fuck|f\W*u\W*c\W*k|shit|bitch|cunt|dick|pussy|rape)\b/gi,
-];
-function censorText(s) {
-  let out = String(s || '');
-  for (const re of BAD_PATTERNS) out = out.replace(re, (m) => '*'.repeat(Math.min(8, Math.max(4, m.length))));
-  return out;
+// content filter (rules in the filterRules collection, edited by site admins; matching in filter.js).
+// Compiled per scope and cached until a rule changes.
+let filterCache = null;
+function filterFor(scope) {
+  if (!filterCache) {
+    filterCache = new Map(RULE_SCOPES.map(sc => [sc, []]));
+    for (const rule of store.all('filterRules')) {
+      if (!rule.enabled) continue;
+      let re;
+      try { re = compileRule(rule); } catch { continue; }
+      for (const sc of rule.scopes) if (filterCache.has(sc)) filterCache.get(sc).push({ rule, re });
+    }
+  }
+  return filterCache.get(scope) || [];
+}
+function saveFilterRule(rule) { store.put('filterRules', rule); filterCache = null; }
+
+// names, bios, topics, file names: nothing to block or review, so every hit is masked
+function censorText(s, scope = 'profile') {
+  return scanText(String(s || ''), filterFor(scope), RULE_ACTIONS).text;
 }
 
-// links blocked in global
-const URL_RE = /(?:https?:\/\/|www\.)[^\s]+/i;
-const DOMAIN_RE = /\b[a-z0-9-]+\.(?:com|net|org|gg|io|me|co|ca|uk|ru|xyz|app|dev|site|online|link|tv|cc)\b/i;
-function containsLink(s) {
-  const t = String(s || '');
-  return URL_RE.test(t) || DOMAIN_RE.test(t);
+// messages: -> { text, blocked, flagged } per the rules for the thread's type
+function filterMessage(content, thread) {
+  return scanText(content, filterFor(thread ? thread.type : 'channel'));
 }
 
 // Express
 const app = express();
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 app.use(cors());
 app.use(express.json({ limit: '256kb' }));
 app.use(express.static(PUBLIC_DIR));
@@ -180,14 +488,100 @@ function authMiddleware(req, res, next) {
   if (!decoded) return res.status(401).json({ error: 'Unauthorized' });
   const user = findUserById(decoded.id);
   if (!user) return res.status(401).json({ error: 'Unauthorized' });
+  const ban = activeSanction(user.id, 'ban');
+  if (ban) return res.status(403).json({ error: sanctionText(ban), sanction: sanctionPublic(ban) });
   normalizeUser(user);
   ensureBadges(user);
   req.user = user;
   next();
 }
 
+// rate limits: one token bucket per (policy, user) and per (policy, IP); see ratelimit.js.
+// burst = requests allowed back to back, every = ms to earn one more.
+// An IP gets IP_SHARE times the user allowance so a few people behind one NAT don't collide;
+// ipOnly policies run before there is a user (sign-up, login).
+const RATE_POLICIES = {
+  send: { burst: 8, every: 1000 }, // messages + announcements, all threads together
+  edit: { burst: 5, every: 3000 },
+  delete: { burst: 10, every: 1000 },
+  react: { burst: 15, every: 500 },
+  pin: { burst: 5, every: 3000 },
+  typing: { burst: 10, every: 1000 },
+  presence: { burst: 5, every: 2000 },
+  activity: { burst: 6, every: 5000 }, // idle / back from idle
+  join: { burst: 30, every: 500 }, // socket room joins when switching threads
+  read: { burst: 20, every: 1000 }, // read markers (store write + receipt broadcast)
+  history: { burst: 20, every: 500 }, // reads: messages, pins, thread list, group / invite info, mod log
+  download: { burst: 60, every: 250 }, // attachments; a chat full of images asks for many at once
+  search: { burst: 10, every: 2000 },
+  upload: { burst: 6, every: 5000 },
+  profile: { burst: 5, every: 10 * 1000 },
+  friend: { burst: 5, every: 30 * 1000 }, // requests, responses, block / unblock
+  dm: { burst: 10, every: 6000 },
+  invite: { burst: 5, every: 20 * 1000 }, // group invites + answers, invite links, joining by link
+  groupEdit: { burst: 5, every: 10 * 1000 }, // group settings, roles, permissions (each posts or broadcasts)
+  members: { burst: 10, every: 5000 }, // kick, leave, transfer
+  create: { burst: 3, every: 60 * 1000 }, // new groups / channels
+  admin: { burst: 20, every: 1000 }, // site admin tools: channels, sanctions, reports, lockouts, filter rules
+  report: { burst: 10, every: 6 * 60 * 1000 }, // ~10 an hour
+  register: { burst: 10, every: 144 * 60 * 1000, ipOnly: true }, // ~10 accounts a day
+  guest: { burst: 20, every: 72 * 60 * 1000, ipOnly: true }, // ~20 guests a day
+  login: { burst: 10, every: 30 * 1000, ipOnly: true },
+};
+const IP_SHARE = 4;
+const SOCKET_RATE_POLICIES = {
+  'message:send': 'send', 'message:edit': 'edit', 'message:delete': 'delete',
+  'message:pin': 'pin', 'message:unpin': 'pin', 'reaction:add': 'react', 'reaction:remove': 'react',
+  'typing:start': 'typing', 'presence:set': 'presence', 'activity:ping': 'activity', 'activity:idle': 'activity',
+  'thread:join': 'join', 'thread:read': 'read',
+};
+
+const limiter = createRateLimiter();
+setInterval(limiter.sweep, 60 * 1000).unref();
+
+// -> 0 when allowed, otherwise ms to wait
+function takeRate(name, user, ip) {
+  const p = RATE_POLICIES[name];
+  const specs = [{ key: `${name}|ip|${ip}`, burst: p.ipOnly ? p.burst : p.burst * IP_SHARE, every: p.ipOnly ? p.every : p.every / IP_SHARE }];
+  if (!p.ipOnly && user) specs.push({ key: `${name}|u|${user.id}`, burst: p.burst, every: p.every });
+  return limiter.take(specs);
+}
+
+// Express: after authMiddleware (or alone for ipOnly policies); 429 + Cooldown:<ms> like the socket errors
+// (the policy name stays on the middleware so test/routes.test.js can see every route has one)
+function rateLimited(name) {
+  if (!RATE_POLICIES[name]) throw new Error('Unknown rate policy: ' + name);
+  const limit = (req, res, next) => {
+    const wait = takeRate(name, req.user, req.ip);
+    if (!wait) return next();
+    res.set('Retry-After', String(Math.ceil(wait / 1000)));
+    res.status(429).json({ error: 'Cooldown:' + wait });
+  };
+  limit.ratePolicy = name;
+  return limit;
+}
+
+// invite landing page: the SPA picks the code out of the path and asks to join after login
+app.get('/invite/:code', rateLimited('history'), (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
+
+function socketIp(socket) {
+  const fwd = TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+  return fwd ? String(fwd).split(',')[0].trim() : socket.handshake.address;
+}
+
+// failed logins: slower answers, then a proof-of-work, then doubling lockouts (see authguard.js)
+const authGuard = createAuthGuard({
+  challengeBits: AUTH_CHALLENGE_BITS,
+  onLockout: (lockout) => notifyAdmins('auth:lockout', { lockout }),
+});
+setInterval(authGuard.sweep, 60 * 1000).unref();
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
 // register
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', rateLimited('register'), async (req, res) => {
   const username = sanitizeUsername(req.body.username);
   const password = String(req.body.password || '');
   const password2 = String(req.body.password2 || '');
@@ -215,37 +609,57 @@ app.post('/api/register', async (req, res) => {
     color: stableColor(username),
   };
   ensureBadges(user);
-  db.users.push(user);
-  persist();
+  saveUser(user);
 
   const token = signToken({ id: user.id });
   res.json({ token, user: getUserPublic(user), isFirstAccountLogin: true });
 });
 
 // login
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', rateLimited('login'), async (req, res) => {
   const username = sanitizeUsername(req.body.username);
   const password = String(req.body.password || '');
   if (!username || !password) return res.status(400).json({ error: 'Missing credentials.' });
 
+  const keys = authGuard.keys(username, req.ip);
+  const lock = authGuard.lock(keys);
+  if (lock) {
+    const what = lock.kind === 'account' ? 'this account' : 'your network';
+    return res.status(429).json({ error: `Too many failed logins for ${what}. Try again in ${fmtDuration(lock.lockedUntil - Date.now())}.`, lockedUntil: lock.lockedUntil });
+  }
+  if (authGuard.challengeNeeded(keys) && !authGuard.challengeSolved(req.body.challengeId, req.body.nonce)) {
+    return res.status(428).json({ error: 'Complete the check to keep trying.', challenge: authGuard.newChallenge() });
+  }
+  await sleep(authGuard.delay(authGuard.failureCount(keys)));
+  // the next attempt already needs a solved check: hand one out with the error
+  const fail = (status, error, failKeys) => {
+    authGuard.recordFailure(failKeys);
+    res.status(status).json({ error, ...(authGuard.challengeNeeded(keys) && !authGuard.lock(keys) ? { challenge: authGuard.newChallenge() } : {}) });
+  };
+
   const user = findUserByName(username);
-  if (!user || user.isGuest) {
-    return res.status(404).json({ error: 'This account does not exist. Use Register to create one or Guest to try the app.' });
+  if (!user || user.isGuest || !user.passHash) {
+    return fail(404, 'This account does not exist. Use Register to create one or Guest to try the app.', keys.filter(([kind]) => kind === 'ip'));
   }
 
-  const ok = await bcrypt.compare(password, user.passHash);
-  if (!ok) return res.status(401).json({ error: 'Wrong password.' });
+  // a stored hash bcrypt can't read (bad import, hand-edited data) is a failed login, not a crash
+  let ok = false;
+  try { ok = await bcrypt.compare(password, user.passHash); } catch { ok = false; }
+  if (!ok) return fail(401, 'Wrong password.', keys);
+  authGuard.clear('account|' + username.toLowerCase());
+  const ban = activeSanction(user.id, 'ban');
+  if (ban) return res.status(403).json({ error: sanctionText(ban), sanction: sanctionPublic(ban) });
 
   normalizeUser(user);
   ensureBadges(user);
-  persist();
+  saveUser(user);
 
   const token = signToken({ id: user.id });
   res.json({ token, user: getUserPublic(user) });
 });
 
 // guest
-app.post('/api/guest', (req, res) => {
+app.post('/api/guest', rateLimited('guest'), (req, res) => {
   const base = 'guest' + Math.floor(Math.random() * 10000);
   let username = base;
   let i = 0;
@@ -268,16 +682,16 @@ app.post('/api/guest', (req, res) => {
     color: stableColor(username),
   };
   ensureBadges(user);
-  db.users.push(user);
-  persist();
+  saveUser(user);
 
   const token = signToken({ id: user.id });
   res.json({ token, user: getUserPublic(user) });
 });
 
-app.get('/api/me', authMiddleware, (req, res) => {
+app.get('/api/me', authMiddleware, rateLimited('history'), (req, res) => {
   res.json({
     user: getUserPublic(req.user),
+    sanctions: activeSanctions(req.user.id).map(sanctionPublic),
     friends: req.user.friends,
     blocked: req.user.blocked,
     friendRequestsIn: req.user.friendRequestsIn,
@@ -285,7 +699,7 @@ app.get('/api/me', authMiddleware, (req, res) => {
   });
 });
 
-app.post('/api/me/profile', authMiddleware, (req, res) => {
+app.post('/api/me/profile', authMiddleware, rateLimited('profile'), (req, res) => {
   const bio = String(req.body.bio || '').slice(0, 240);
   const statusText = String(req.body.statusText || '').slice(0, 64);
   const presence = String(req.body.presence || '');
@@ -296,16 +710,16 @@ app.post('/api/me/profile', authMiddleware, (req, res) => {
   if (validPresence.has(presence)) req.user.presence = presence;
 
   ensureBadges(req.user);
-  persist();
+  saveUser(req.user);
 
   io.emit('presence:update', { user: getUserPublic(req.user) });
-  io.emit('presence:list', { users: getOnlinePublicList() });
+  broadcastPresenceList();
 
   res.json({ user: getUserPublic(req.user) });
 });
 
 // friends
-app.post('/api/friends/request', authMiddleware, (req, res) => {
+app.post('/api/friends/request', authMiddleware, rateLimited('friend'), (req, res) => {
   if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot add friends.' });
   const targetName = String(req.body.username || '').trim();
   const target = findUserByName(targetName);
@@ -320,7 +734,8 @@ app.post('/api/friends/request', authMiddleware, (req, res) => {
   if (!req.user.friendRequestsOut.includes(target.id)) req.user.friendRequestsOut.push(target.id);
   if (!target.friendRequestsIn.includes(req.user.id)) target.friendRequestsIn.push(req.user.id);
 
-  persist();
+  saveUser(req.user);
+  saveUser(target);
 
   const dmId = ensureDMThread(req.user.id, target.id);
   const msg = makeMessage({
@@ -330,14 +745,13 @@ app.post('/api/friends/request', authMiddleware, (req, res) => {
     type: 'friend_request',
     meta: { fromId: req.user.id }
   });
-  db.messages.push(msg);
-  persist();
+  saveMessage(msg);
   io.to('thread:' + dmId).emit('message:new', { message: msg });
 
   res.json({ ok: true });
 });
 
-app.post('/api/friends/respond', authMiddleware, (req, res) => {
+app.post('/api/friends/respond', authMiddleware, rateLimited('friend'), (req, res) => {
   if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot do this.' });
   const fromId = String(req.body.fromId || '');
   const accept = !!req.body.accept;
@@ -355,7 +769,8 @@ app.post('/api/friends/respond', authMiddleware, (req, res) => {
     if (!req.user.friends.includes(fromId)) req.user.friends.push(fromId);
     if (!from.friends.includes(req.user.id)) from.friends.push(req.user.id);
   }
-  persist();
+  saveUser(req.user);
+  saveUser(from);
 
   const dmId = ensureDMThread(req.user.id, fromId);
   const msg = makeMessage({
@@ -365,15 +780,14 @@ app.post('/api/friends/respond', authMiddleware, (req, res) => {
     type: 'system',
     meta: { friendRespond: true, accept }
   });
-  db.messages.push(msg);
-  persist();
+  saveMessage(msg);
   io.to('thread:' + dmId).emit('message:new', { message: msg });
 
   res.json({ ok: true });
 });
 
 // block
-app.post('/api/block', authMiddleware, (req, res) => {
+app.post('/api/block', authMiddleware, rateLimited('friend'), (req, res) => {
   const targetName = String(req.body.username || '').trim();
   const target = findUserByName(targetName);
   if (!target) return res.status(404).json({ error: 'User not found.' });
@@ -392,39 +806,125 @@ app.post('/api/block', authMiddleware, (req, res) => {
   target.friendRequestsOut = target.friendRequestsOut.filter(x => x !== req.user.id);
   target.friends = target.friends.filter(x => x !== req.user.id);
 
-  persist();
+  saveUser(req.user);
+  saveUser(target);
   res.json({ ok: true });
 });
 
-app.post('/api/unblock', authMiddleware, (req, res) => {
+app.post('/api/unblock', authMiddleware, rateLimited('friend'), (req, res) => {
   const targetName = String(req.body.username || '').trim();
   const target = findUserByName(targetName);
   if (!target) return res.status(404).json({ error: 'User not found.' });
   normalizeUser(req.user);
   req.user.blocked = req.user.blocked.filter(x => x !== target.id);
-  persist();
+  saveUser(req.user);
   res.json({ ok: true });
 });
 
+// threads the user may read (same rule as threadAllowed)
+function visibleThreads(userId) {
+  const user = findUserById(userId);
+  const channels = store.find('threads', 'byType', 'channel').filter(t => channelReadable(t, user));
+  return Array.from(new Set([...channels, ...store.find('threads', 'byMember', userId)]));
+}
+function threadNameFor(t, myId) {
+  if (t.type !== 'dm') return t.name;
+  const otherId = t.members.find(x => x !== myId);
+  const other = otherId ? findUserById(otherId) : null;
+  return other ? other.username : 'DM';
+}
+
+// read markers: reads/{ id: userId:threadId, userId, threadId, messageId, readAt (= that message's createdAt) }
+function readMarker(userId, threadId) { return store.get('reads', userId + ':' + threadId); }
+function receiptsEnabled(t) {
+  return !!t && (t.type === 'dm' || (t.type === 'group' && (t.members || []).length <= RECEIPT_MAX_MEMBERS));
+}
+// messages from before mentions were resolved only have their text to go on
+function messageMentionsUser(m, user) {
+  if (Array.isArray(m.mentions)) return m.mentions.includes(user.id);
+  return new RegExp('(^|[^\\w])@' + user.username + '\\b', 'i').test(m.content || '');
+}
+
+// @username -> user ids that can read the thread and haven't blocked (or been blocked by) the sender
+const MENTION_RE = /(^|[^\w@])@([a-zA-Z0-9_]{2,20})\b/g;
+function resolveMentions(content, threadId, sender) {
+  const ids = [];
+  for (const match of String(content || '').matchAll(MENTION_RE)) {
+    if (ids.length >= MAX_MENTIONS) break;
+    const u = findUserByName(match[2]);
+    if (!u || u.id === sender.id || ids.includes(u.id)) continue;
+    if (!threadAllowed(threadId, u.id) || eitherBlocked(sender.id, u.id)) continue;
+    ids.push(u.id);
+  }
+  return ids;
+}
+
+// straight to the user's sockets: they may not have the thread open (or joined) anywhere
+function notifyMentions(msg, userIds) {
+  const t = threadById(msg.threadId);
+  for (const id of userIds) {
+    emitToUser(id, 'mention:new', {
+      threadId: msg.threadId,
+      threadName: t ? threadNameFor(t, id) : '',
+      threadType: t ? t.type : null,
+      message: { id: msg.id, senderId: msg.senderId, senderName: msg.senderName, content: String(msg.content || '').slice(0, 140), createdAt: msg.createdAt },
+    });
+  }
+}
+
+// walks back from the newest message until the user's marker (no marker: since they signed up)
+function unreadCounts(user, t) {
+  const marker = readMarker(user.id, t.id);
+  const since = marker ? marker.readAt : (user.createdAt || 0);
+  const msgs = store.find('messages', 'byThread', t.id);
+  let unread = 0;
+  let mentions = 0;
+  for (let i = msgs.length - 1; i >= 0 && unread < UNREAD_CAP; i--) {
+    const m = msgs[i];
+    if (m.createdAt <= since) break;
+    if (m.senderId === user.id || m.deletedAt || user.blocked.includes(m.senderId)) continue;
+    unread++;
+    if (messageMentionsUser(m, user)) mentions++;
+  }
+  return { unread, mentions, lastReadId: marker ? marker.messageId : null };
+}
+
+function threadReceipts(t) {
+  if (!receiptsEnabled(t)) return [];
+  return store.find('reads', 'byThread', t.id)
+    .filter(r => (t.members || []).includes(r.userId))
+    .map(r => {
+      const u = findUserById(r.userId);
+      return { userId: r.userId, username: u ? u.username : 'user', messageId: r.messageId };
+    });
+}
+
 // threads list
-app.get('/api/threads', authMiddleware, (req, res) => {
+app.get('/api/threads', authMiddleware, rateLimited('history'), (req, res) => {
   const myId = req.user.id;
-  const threads = db.threads
-    .filter(t => t.type === 'global' || (Array.isArray(t.members) && t.members.includes(myId)))
+  const threads = visibleThreads(myId)
     .map(t => {
+      const counts = unreadCounts(req.user, t);
       if (t.type === 'dm') {
-        const otherId = t.members.find(x => x !== myId);
-        const other = otherId ? findUserById(otherId) : null;
-        return { id: t.id, type: t.type, name: other ? other.username : 'DM', members: t.members, createdAt: t.createdAt };
+        return { id: t.id, type: t.type, name: threadNameFor(t, myId), members: t.members, createdAt: t.createdAt, pins: pinIds(t), ...counts };
+      }
+      if (t.type === 'group') {
+        normalizeGroup(t);
+        return {
+          id: t.id, type: t.type, name: t.name, members: t.members, createdAt: t.createdAt, roles: t.roles, permissions: t.permissions,
+          description: t.description, icon: t.icon, slowMode: t.slowMode, links: t.links, pins: pinIds(t), ...counts,
+        };
       }
-      if (t.type === 'group') normalizeGroup(t);
-      return { id: t.id, type: t.type, name: t.name, members: t.members || [], createdAt: t.createdAt, roles: t.roles || {} };
+      if (t.type === 'channel') {
+        return { id: t.id, type: t.type, name: t.name, topic: t.topic, policy: t.policy, isDefault: !!t.isDefault, createdAt: t.createdAt, pins: pinIds(t), ...counts };
+      }
+      return { id: t.id, type: t.type, name: t.name, members: t.members || [], createdAt: t.createdAt, ...counts };
     });
   res.json({ threads });
 });
 
 function ensureDMThread(aId, bId) {
-  let t = db.threads.find(x =>
+  let t = store.find('threads', 'byMember', aId).find(x =>
     x.type === 'dm' &&
     Array.isArray(x.members) &&
     x.members.length === 2 &&
@@ -433,13 +933,12 @@ function ensureDMThread(aId, bId) {
   );
   if (!t) {
     t = { id: uid('t_'), type: 'dm', name: '', members: [aId, bId], createdBy: aId, createdAt: Date.now() };
-    db.threads.push(t);
-    persist();
+    saveThread(t);
   }
   return t.id;
 }
 
-app.post('/api/threads/dm', authMiddleware, (req, res) => {
+app.post('/api/threads/dm', authMiddleware, rateLimited('dm'), (req, res) => {
   if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot DM.' });
   const targetName = String(req.body.username || '').trim();
   const target = findUserByName(targetName);
@@ -451,19 +950,19 @@ app.post('/api/threads/dm', authMiddleware, (req, res) => {
   res.json({ threadId });
 });
 
-app.post('/api/threads/group', authMiddleware, (req, res) => {
+app.post('/api/threads/group', authMiddleware, rateLimited('create'), (req, res) => {
   if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot create groups.' });
   const name = censorText(String(req.body.name || '').trim().slice(0, 40));
   if (!name) return res.status(400).json({ error: 'Group name required.' });
 
   const t = { id: uid('t_'), type: 'group', name, members: [req.user.id], roles: { [req.user.id]: 'owner' }, createdBy: req.user.id, createdAt: Date.now() };
-  db.threads.push(t);
-  persist();
+  normalizeGroup(t);
+  saveThread(t);
   res.json({ threadId: t.id });
 });
 
 // group invites
-app.post('/api/groups/invite', authMiddleware, (req, res) => {
+app.post('/api/groups/invite', authMiddleware, rateLimited('invite'), (req, res) => {
   if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot invite.' });
 
   const groupId = String(req.body.groupId || '');
@@ -473,7 +972,7 @@ app.post('/api/groups/invite', authMiddleware, (req, res) => {
   normalizeGroup(group);
 
   if (!threadAllowed(groupId, req.user.id)) return res.status(403).json({ error: 'Forbidden.' });
-  if (!isGroupOwner(group, req.user.id)) return res.status(403).json({ error: 'Only owner can invite (for now).' });
+  if (!groupCan(group, req.user.id, 'invite')) return res.status(403).json({ error: 'You do not have permission to invite.' });
 
   const target = findUserById(targetId);
   if (!target || target.isGuest) return res.status(404).json({ error: 'User not found.' });
@@ -483,6 +982,7 @@ app.post('/api/groups/invite', authMiddleware, (req, res) => {
   if (eitherBlocked(req.user.id, targetId)) return res.status(403).json({ error: 'Invite blocked.' });
 
   if (group.members.includes(targetId)) return res.json({ ok: true, already: true });
+  if (group.bans.includes(targetId)) return res.status(403).json({ error: 'That user is banned from this group.' });
 
   const dmId = ensureDMThread(req.user.id, targetId);
   const msg = makeMessage({
@@ -493,14 +993,13 @@ app.post('/api/groups/invite', authMiddleware, (req, res) => {
     meta: { groupId: group.id, groupName: group.name, invitedId: targetId, inviterId: req.user.id }
   });
 
-  db.messages.push(msg);
-  persist();
+  saveMessage(msg);
   io.to('thread:' + dmId).emit('message:new', { message: msg });
 
   res.json({ ok: true });
 });
 
-app.post('/api/groups/invite/respond', authMiddleware, (req, res) => {
+app.post('/api/groups/invite/respond', authMiddleware, rateLimited('invite'), (req, res) => {
   if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot join groups.' });
 
   const groupId = String(req.body.groupId || '');
@@ -511,13 +1010,21 @@ app.post('/api/groups/invite/respond', authMiddleware, (req, res) => {
   if (!group || group.type !== 'group') return res.status(404).json({ error: 'Group not found.' });
   normalizeGroup(group);
 
+  // the invite has to exist and be unanswered, and the inviter still has to be allowed to invite
+  const invite = openGroupInvites(req.user.id, groupId).find(m => m.meta.inviterId === inviterId);
+  if (!invite) return res.status(404).json({ error: 'Invite not found or already answered.' });
+
   if (accept) {
     if (eitherBlocked(req.user.id, inviterId)) return res.status(403).json({ error: 'Blocked.' });
+    if (!groupCan(group, inviterId, 'invite')) return res.status(403).json({ error: 'This invite is no longer valid.' });
+    if (group.bans.includes(req.user.id)) return res.status(403).json({ error: 'You are banned from this group.' });
     if (!group.members.includes(req.user.id)) group.members.push(req.user.id);
     group.roles = group.roles || {};
     if (!group.roles[req.user.id]) group.roles[req.user.id] = 'member';
-    persist();
+    saveThread(group);
+    notifyThreadMembers(group, 'thread:update', { threadId: group.id });
   }
+  closeInvite(invite, accept ? 'accepted' : 'declined');
 
   const dmId = inviterId ? ensureDMThread(req.user.id, inviterId) : null;
   if (dmId) {
@@ -528,50 +1035,1089 @@ app.post('/api/groups/invite/respond', authMiddleware, (req, res) => {
       type: 'system',
       meta: { inviteRespond: true, groupId, accept }
     });
-    db.messages.push(msg);
-    persist();
+    saveMessage(msg);
     io.to('thread:' + dmId).emit('message:new', { message: msg });
   }
 
   res.json({ ok: true });
 });
 
-// messages list
-app.get('/api/messages', authMiddleware, (req, res) => {
+// pins live on the thread: thread.pins = [{ messageId, pinnedBy, pinnedAt }], newest first
+function threadPins(t) { return Array.isArray(t.pins) ? t.pins : []; }
+function pinIds(t) { return threadPins(t).map(p => p.messageId); }
+function canPin(t, user) {
+  if (!t || !threadAllowed(t.id, user.id)) return false;
+  if (t.type === 'dm') return true;
+  if (t.type === 'group') return groupCan(t, user.id, 'pin');
+  if (t.type === 'channel') return isSiteAdmin(user);
+  return false;
+}
+
+app.get('/api/pins', authMiddleware, rateLimited('history'), (req, res) => {
+  const threadId = String(req.query.threadId || '');
+  const t = threadById(threadId);
+  if (!t || !threadAllowed(threadId, req.user.id)) return res.status(404).json({ error: 'Thread not found.' });
+  const pins = threadPins(t).map(p => {
+    const m = store.get('messages', p.messageId);
+    if (!m || m.deletedAt) return null;
+    const by = findUserById(p.pinnedBy);
+    return { messageId: p.messageId, pinnedBy: p.pinnedBy, pinnedByName: by ? by.username : 'user', pinnedAt: p.pinnedAt, message: getMessagePublic(m) };
+  }).filter(Boolean);
+  res.json({ pins, canPin: canPin(t, req.user) });
+});
+
+// group members + roles
+function groupFromReq(req, res) {
+  const groupId = String(req.body.groupId || req.query.groupId || '');
+  const group = threadById(groupId);
+  if (!group || group.type !== 'group' || !threadAllowed(groupId, req.user.id)) {
+    res.status(404).json({ error: 'Group not found.' });
+    return null;
+  }
+  normalizeGroup(group);
+  return group;
+}
+
+app.get('/api/groups/info', authMiddleware, rateLimited('history'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  const members = group.members.map(id => {
+    const u = findUserById(id);
+    return { id, username: u ? u.username : 'user', color: u ? u.color : null, role: groupRole(group, id) };
+  }).sort((a, b) => (GROUP_ROLES.indexOf(a.role) - GROUP_ROLES.indexOf(b.role)) || a.username.localeCompare(b.username));
+  res.json({ group: { id: group.id, name: group.name, createdBy: group.createdBy, permissions: group.permissions }, members, roles: GROUP_ROLES, permissionNames: GROUP_PERMISSIONS });
+});
+
+// owner only; ownership itself moves through transfer, not here
+app.post('/api/groups/role', authMiddleware, rateLimited('groupEdit'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  if (!isGroupOwner(group, req.user.id)) return res.status(403).json({ error: 'Only the owner can assign roles.' });
+  const targetId = String(req.body.userId || '');
+  const role = String(req.body.role || '');
+  if (!group.members.includes(targetId)) return res.status(404).json({ error: 'Not a member.' });
+  if (targetId === req.user.id) return res.status(400).json({ error: 'Cannot change your own role.' });
+  if (!GROUP_ROLES.includes(role) || role === 'owner') return res.status(400).json({ error: 'Invalid role.' });
+
+  group.roles[targetId] = role;
+  saveThread(group);
+  notifyThreadMembers(group, 'thread:update', { threadId: group.id });
+  res.json({ ok: true });
+});
+
+// body: { groupId, permissions: { admin: { invite: true, ... }, moderator: {...}, member: {...} } }
+app.post('/api/groups/permissions', authMiddleware, rateLimited('groupEdit'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  if (!isGroupOwner(group, req.user.id)) return res.status(403).json({ error: 'Only the owner can change permissions.' });
+  const input = req.body.permissions && typeof req.body.permissions === 'object' ? req.body.permissions : {};
+  for (const role of Object.keys(DEFAULT_GROUP_PERMISSIONS)) {
+    const row = input[role] && typeof input[role] === 'object' ? input[role] : {};
+    for (const p of GROUP_PERMISSIONS) {
+      if (typeof row[p] === 'boolean') group.permissions[role][p] = row[p];
+    }
+  }
+  saveThread(group);
+  notifyThreadMembers(group, 'thread:update', { threadId: group.id });
+  res.json({ ok: true, permissions: group.permissions });
+});
+
+// group lifecycle
+function postGroupSystem(group, actor, content, meta) {
+  const msg = makeMessage({ threadId: group.id, sender: actor, content, type: 'system', meta });
+  saveMessage(msg);
+  io.to('thread:' + group.id).emit('message:new', { message: msg });
+}
+
+// membership checks already lock them out; this also stops room broadcasts right away
+function evictFromThread(threadId, userId) {
+  clearTyping(threadId, userId);
+  for (const sid of socketsByUser.get(userId) || []) {
+    const s = io.sockets.sockets.get(sid);
+    if (s) s.leave('thread:' + threadId);
+  }
+  store.remove('reads', userId + ':' + threadId);
+  emitToUser(userId, 'thread:removed', { threadId });
+}
+
+function removeUpload(id) {
+  fs.rm(path.join(UPLOAD_DIR, id), { force: true }, () => {});
+  store.remove('uploads', id);
+}
+
+// messages, their files and read markers go with the group
+function purgeGroup(group) {
+  const members = group.members.slice();
+  for (const id of members) evictFromThread(group.id, id);
+  if (group.icon && group.icon.uploadId) removeUpload(group.icon.uploadId);
+  purgeThreadData(group.id);
+}
+
+function purgeThreadData(threadId) {
+  for (const m of store.find('messages', 'byThread', threadId)) {
+    for (const u of store.find('uploads', 'byMessage', m.id)) removeUpload(u.id);
+    store.remove('messages', m.id);
+  }
+  for (const r of store.find('reads', 'byThread', threadId)) store.remove('reads', r.id);
+  for (const i of store.find('invites', 'byThread', threadId)) store.remove('invites', i.id);
+  store.remove('threads', threadId);
+}
+
+// DM invites to a group for this user that nobody has answered or revoked yet
+function openGroupInvites(userId, groupId) {
+  const out = [];
+  for (const t of store.find('threads', 'byMember', userId)) {
+    if (t.type !== 'dm') continue;
+    for (const m of store.find('messages', 'byThread', t.id)) {
+      if (m.type === 'invite' && m.meta && m.meta.groupId === groupId && m.meta.invitedId === userId && !m.meta.closed) out.push(m);
+    }
+  }
+  return out;
+}
+
+// an invite works once: answered ('accepted' / 'declined') or 'revoked' when the member leaves or is removed
+function closeInvite(msg, closed) {
+  msg.meta = { ...msg.meta, closed, closedAt: Date.now() };
+  saveMessage(msg);
+  io.to('thread:' + msg.threadId).emit('message:meta', { messageId: msg.id, meta: msg.meta });
+}
+
+// returns the new owner's id when ownership had to move
+function removeGroupMember(group, userId) {
+  for (const m of openGroupInvites(userId, group.id)) closeInvite(m, 'revoked');
+  const wasOwner = group.roles[userId] === 'owner';
+  const next = wasOwner ? groupSuccessor(group, userId) : null;
+  group.members = group.members.filter(id => id !== userId);
+  delete group.roles[userId];
+  if (next) group.roles[next] = 'owner';
+  saveThread(group);
+  evictFromThread(group.id, userId);
+  return next;
+}
+
+function announceNewOwner(group, actor, ownerId) {
+  const u = findUserById(ownerId);
+  postGroupSystem(group, actor, `👑 ${u ? u.username : 'user'} is now the owner.`, { groupEvent: 'owner', userId: ownerId });
+}
+
+app.post('/api/groups/leave', authMiddleware, rateLimited('members'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  if (group.members.length === 1) {
+    purgeGroup(group);
+    return res.json({ ok: true, deleted: true });
+  }
+  const next = removeGroupMember(group, req.user.id);
+  postGroupSystem(group, req.user, `👋 ${req.user.username} left the group.`, { groupEvent: 'leave', userId: req.user.id });
+  if (next) announceNewOwner(group, req.user, next);
+  notifyThreadMembers(group, 'thread:update', { threadId: group.id });
+  res.json({ ok: true });
+});
+
+app.post('/api/groups/kick', authMiddleware, rateLimited('members'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  const targetId = String(req.body.userId || '');
+  if (!group.members.includes(targetId)) return res.status(404).json({ error: 'Not a member.' });
+  if (targetId === req.user.id) return res.status(400).json({ error: 'Use leave instead.' });
+  if (!groupCan(group, req.user.id, 'kick')) return res.status(403).json({ error: 'You do not have permission to remove members.' });
+  if (!outranks(group, req.user.id, targetId)) return res.status(403).json({ error: 'You cannot remove someone with an equal or higher role.' });
+
+  const ban = !!req.body.ban;
+  const target = findUserById(targetId);
+  if (ban && !group.bans.includes(targetId)) group.bans.push(targetId);
+  removeGroupMember(group, targetId);
+  postGroupSystem(group, req.user, `🚪 ${target ? target.username : 'user'} was ${ban ? 'banned' : 'removed'} by ${req.user.username}.`, { groupEvent: ban ? 'ban' : 'kick', userId: targetId });
+  notifyThreadMembers(group, 'thread:update', { threadId: group.id });
+  res.json({ ok: true });
+});
+
+app.post('/api/groups/transfer', authMiddleware, rateLimited('members'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  if (!isGroupOwner(group, req.user.id)) return res.status(403).json({ error: 'Only the owner can transfer ownership.' });
+  const targetId = String(req.body.userId || '');
+  if (targetId === req.user.id) return res.status(400).json({ error: 'You already own this group.' });
+  if (!group.members.includes(targetId)) return res.status(404).json({ error: 'Not a member.' });
+
+  group.roles[req.user.id] = 'admin';
+  group.roles[targetId] = 'owner';
+  saveThread(group);
+  announceNewOwner(group, req.user, targetId);
+  notifyThreadMembers(group, 'thread:update', { threadId: group.id });
+  res.json({ ok: true });
+});
+
+app.post('/api/groups/delete', authMiddleware, rateLimited('groupEdit'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  if (!isGroupOwner(group, req.user.id)) return res.status(403).json({ error: 'Only the owner can delete the group.' });
+  purgeGroup(group);
+  res.json({ ok: true });
+});
+
+// name / description / icon / slow mode / link policy; each change is announced in the group
+app.post('/api/groups/settings', authMiddleware, rateLimited('groupEdit'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  if (!groupCan(group, req.user.id, 'rename')) return res.status(403).json({ error: 'You do not have permission to edit this group.' });
+
+  const b = req.body || {};
+  const notes = [];
+  let name, description, slowMode, icon, oldIconUpload, links;
+
+  if (b.name !== undefined) {
+    name = censorText(String(b.name || '').trim().slice(0, 40));
+    if (!name) return res.status(400).json({ error: 'Group name required.' });
+  }
+  if (b.description !== undefined) {
+    description = censorText(String(b.description || '').trim().slice(0, GROUP_DESCRIPTION_MAX));
+  }
+  if (b.slowMode !== undefined) {
+    slowMode = Math.floor(Number(b.slowMode));
+    if (!Number.isFinite(slowMode) || slowMode < 0 || slowMode > SLOW_MODE_MAX) return res.status(400).json({ error: 'Invalid slow mode.' });
+  }
+  if (b.links !== undefined) {
+    try { links = linkPolicyFromBody(b.links, GROUP_LINK_EXEMPT); } catch (e) { return res.status(400).json({ error: e.message }); }
+  }
+  if (b.icon !== undefined) {
+    // 'generate' -> new random color, { uploadId } -> an image uploaded to this group
+    if (b.icon === 'generate') {
+      icon = { type: 'generated', color: stableColor(uid()) };
+    } else if (b.icon && typeof b.icon === 'object' && b.icon.uploadId) {
+      const u = store.get('uploads', String(b.icon.uploadId));
+      if (!u || u.userId !== req.user.id || u.threadId !== group.id || u.messageId || u.iconFor || u.kind !== 'image') {
+        return res.status(400).json({ error: 'Icon upload not found (upload it again).' });
+      }
+      u.iconFor = group.id;
+      store.put('uploads', u);
+      icon = { type: 'upload', uploadId: u.id };
+    } else {
+      return res.status(400).json({ error: 'Invalid icon.' });
+    }
+    if (group.icon && group.icon.uploadId) oldIconUpload = group.icon.uploadId;
+  }
+
+  if (name !== undefined && name !== group.name) {
+    group.name = name;
+    notes.push(`renamed the group to "${name}"`);
+  }
+  if (description !== undefined && description !== group.description) {
+    group.description = description;
+    notes.push(description ? 'changed the description' : 'cleared the description');
+  }
+  if (slowMode !== undefined && slowMode !== group.slowMode) {
+    group.slowMode = slowMode;
+    notes.push(slowMode ? `set slow mode to ${slowMode}s` : 'turned off slow mode');
+  }
+  if (links && JSON.stringify(links) !== JSON.stringify(group.links)) {
+    group.links = links;
+    notes.push('changed the link policy');
+  }
+  if (icon) {
+    group.icon = icon;
+    notes.push('changed the group icon');
+    if (oldIconUpload) removeUpload(oldIconUpload);
+  }
+
+  if (notes.length) {
+    saveThread(group);
+    postGroupSystem(group, req.user, `✏️ ${req.user.username} ${notes.join(', ')}.`, { groupEvent: 'settings' });
+    notifyThreadMembers(group, 'thread:update', { threadId: group.id });
+  }
+  res.json({ ok: true });
+});
+
+// shareable invite links: /invite/<code>
+const INVITE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const INVITE_MAX_USES = 1000;
+const INVITE_MAX_ACTIVE = 50;
+
+function inviteState(inv) {
+  if (inv.revokedAt) return 'revoked';
+  if (inv.expiresAt && Date.now() > inv.expiresAt) return 'expired';
+  if (inv.maxUses && inv.uses >= inv.maxUses) return 'used';
+  return 'active';
+}
+
+function invitePublic(inv) {
+  const u = findUserById(inv.createdBy);
+  return {
+    code: inv.id, threadId: inv.threadId, createdBy: inv.createdBy, createdByName: u ? u.username : 'user',
+    createdAt: inv.createdAt, expiresAt: inv.expiresAt, maxUses: inv.maxUses, uses: inv.uses, state: inviteState(inv),
+  };
+}
+
+// -> { inv, group } or { error, status }; the creator must still be allowed to invite
+function resolveInvite(code) {
+  const inv = store.get('invites', String(code || ''));
+  const group = inv ? threadById(inv.threadId) : null;
+  if (!inv || !group) return { status: 404, error: 'Invite not found.' };
+  normalizeGroup(group);
+  const st = inviteState(inv);
+  if (st !== 'active') return { status: 410, error: st === 'used' ? 'This invite has been used up.' : `This invite has ${st === 'revoked' ? 'been revoked' : 'expired'}.` };
+  if (!groupCan(group, inv.createdBy, 'invite')) return { status: 410, error: 'This invite is no longer valid.' };
+  return { inv, group };
+}
+
+app.post('/api/groups/invite-links', authMiddleware, rateLimited('invite'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot invite.' });
+  if (!groupCan(group, req.user.id, 'invite')) return res.status(403).json({ error: 'You do not have permission to invite.' });
+
+  const active = store.find('invites', 'byThread', group.id).filter(i => inviteState(i) === 'active');
+  if (active.length >= INVITE_MAX_ACTIVE) return res.status(400).json({ error: 'Too many active invite links. Revoke some first.' });
+
+  const expiresIn = Number(req.body.expiresIn) || 0;
+  const maxUses = Math.floor(Number(req.body.maxUses) || 0);
+  if (expiresIn < 0 || expiresIn > INVITE_MAX_AGE) return res.status(400).json({ error: 'Invalid expiry.' });
+  if (maxUses < 0 || maxUses > INVITE_MAX_USES) return res.status(400).json({ error: 'Invalid use limit.' });
+
+  let code;
+  do { code = crypto.randomBytes(6).toString('base64url'); } while (store.get('invites', code));
+  const inv = {
+    id: code, threadId: group.id, createdBy: req.user.id, createdAt: Date.now(),
+    expiresAt: expiresIn ? Date.now() + expiresIn : null, maxUses: maxUses || null, uses: 0, revokedAt: null,
+  };
+  store.put('invites', inv);
+  res.json({ ok: true, invite: invitePublic(inv) });
+});
+
+// owner sees every active link; other inviters see their own
+app.get('/api/groups/invite-links', authMiddleware, rateLimited('history'), (req, res) => {
+  const group = groupFromReq(req, res);
+  if (!group) return;
+  if (!groupCan(group, req.user.id, 'invite')) return res.status(403).json({ error: 'You do not have permission to invite.' });
+  const owner = isGroupOwner(group, req.user.id);
+  const invites = store.find('invites', 'byThread', group.id)
+    .filter(i => inviteState(i) === 'active' && (owner || i.createdBy === req.user.id))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(invitePublic);
+  res.json({ invites });
+});
+
+app.post('/api/groups/invite-links/revoke', authMiddleware, rateLimited('invite'), (req, res) => {
+  const inv = store.get('invites', String(req.body.code || ''));
+  const group = inv ? threadById(inv.threadId) : null;
+  if (!inv || !group || !threadAllowed(group.id, req.user.id)) return res.status(404).json({ error: 'Invite not found.' });
+  if (inv.createdBy !== req.user.id && !isGroupOwner(group, req.user.id)) return res.status(403).json({ error: 'Forbidden.' });
+  if (!inv.revokedAt) {
+    inv.revokedAt = Date.now();
+    store.put('invites', inv);
+  }
+  res.json({ ok: true });
+});
+
+app.get('/api/invites/:code', authMiddleware, rateLimited('history'), (req, res) => {
+  const found = resolveInvite(req.params.code);
+  if (found.error) return res.status(found.status).json({ error: found.error });
+  const { inv, group } = found;
+  res.json({
+    invite: invitePublic(inv),
+    group: { id: group.id, name: group.name, memberCount: group.members.length },
+    member: group.members.includes(req.user.id),
+  });
+});
+
+app.post('/api/invites/:code/join', authMiddleware, rateLimited('invite'), (req, res) => {
+  if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot join groups.' });
+  const found = resolveInvite(req.params.code);
+  if (found.error) return res.status(found.status).json({ error: found.error });
+  const { inv, group } = found;
+
+  if (group.members.includes(req.user.id)) return res.json({ ok: true, threadId: group.id, already: true });
+  if (group.bans.includes(req.user.id)) return res.status(403).json({ error: 'You are banned from this group.' });
+  const owner = Object.keys(group.roles).find(id => group.roles[id] === 'owner');
+  if (eitherBlocked(req.user.id, inv.createdBy) || (owner && eitherBlocked(req.user.id, owner))) {
+    return res.status(403).json({ error: 'Blocked.' });
+  }
+
+  inv.uses += 1;
+  store.put('invites', inv);
+  group.members.push(req.user.id);
+  group.roles[req.user.id] = 'member';
+  saveThread(group);
+  postGroupSystem(group, req.user, `✅ ${req.user.username} joined via invite link.`, { groupEvent: 'join', userId: req.user.id, code: inv.id });
+  notifyThreadMembers(group, 'thread:update', { threadId: group.id });
+  res.json({ ok: true, threadId: group.id });
+});
+
+// oldest -> newest; ties broken by id so cursors stay stable
+function threadMessages(threadId) {
+  const msgs = store.find('messages', 'byThread', threadId);
+  msgs.sort((a, b) => (a.createdAt - b.createdAt) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return msgs;
+}
+
+// cursor = message id or ms timestamp. Returns the slice bound in `msgs`, or -1 if the id is unknown.
+// side 'before': index of the first message NOT older than the cursor; side 'after': first message newer than it.
+function cursorIndex(msgs, cursor, side) {
+  if (/^\d+$/.test(cursor)) {
+    const ts = Number(cursor);
+    const i = msgs.findIndex(m => (side === 'before' ? m.createdAt >= ts : m.createdAt > ts));
+    return i === -1 ? msgs.length : i;
+  }
+  const i = msgs.findIndex(m => m.id === cursor);
+  if (i === -1) return -1;
+  return side === 'before' ? i : i + 1;
+}
+
+// messages list (?before= / ?after= cursors; hasMore = more messages beyond this page in the paging direction)
+app.get('/api/messages', authMiddleware, rateLimited('history'), (req, res) => {
   const threadId = String(req.query.threadId || '');
   if (!threadId) return res.status(400).json({ error: 'threadId required.' });
 
   const thread = threadById(threadId);
   if (!thread) return res.status(404).json({ error: 'Thread not found.' });
 
-  const myId = req.user.id;
-  const allowed = thread.type === 'global' || (Array.isArray(thread.members) && thread.members.includes(myId));
-  if (!allowed) return res.status(403).json({ error: 'Forbidden.' });
+  if (!threadAllowed(threadId, req.user.id)) return res.status(403).json({ error: 'Forbidden.' });
 
   const limit = Math.max(1, Math.min(200, parseInt(req.query.limit || '80', 10) || 80));
-  let msgs = db.messages.filter(m => m.threadId === threadId);
-  msgs.sort((a, b) => a.createdAt - b.createdAt);
-  msgs = msgs.slice(-limit);
-  res.json({ messages: msgs });
+  const before = String(req.query.before || '');
+  const after = String(req.query.after || '');
+  const all = threadMessages(threadId);
+
+  let start = 0;
+  let end = all.length;
+  if (after) {
+    start = cursorIndex(all, after, 'after');
+    if (start === -1) return res.status(400).json({ error: 'Unknown cursor.' });
+  }
+  if (before) {
+    end = cursorIndex(all, before, 'before');
+    if (end === -1) return res.status(400).json({ error: 'Unknown cursor.' });
+  }
+  const range = end > start ? all.slice(start, end) : [];
+
+  // "after" pages forward from the cursor; everything else pages backward from the newest end
+  const messages = ((after && !before) ? range.slice(0, limit) : range.slice(-limit)).map(getMessagePublic);
+  const hasMore = range.length > limit;
+  res.json({ messages, hasMore, receipts: threadReceipts(thread) });
+});
+
+// edit history: members see the versions of live messages; deleted ones need a moderator
+app.get('/api/messages/history', authMiddleware, rateLimited('history'), (req, res) => {
+  const msg = store.get('messages', String(req.query.messageId || ''));
+  if (!msg || !threadAllowed(msg.threadId, req.user.id)) return res.status(404).json({ error: 'Message not found.' });
+  const thr = threadById(msg.threadId);
+  if (msg.deletedAt && !canSeeDeleted(thr, req.user)) return res.status(403).json({ error: 'Only moderators can see deleted messages.' });
+  const by = msg.deletedBy ? findUserById(msg.deletedBy) : null;
+  res.json({
+    messageId: msg.id,
+    current: { content: msg.content, at: msg.editedAt || msg.createdAt },
+    revisions: (msg.revisions || []).slice().reverse(),
+    deletedAt: msg.deletedAt || null,
+    deletedByName: msg.deletedAt ? (by ? by.username : 'unknown') : null,
+    purged: !!msg.purgedAt,
+    retentionDays: Math.round(REVISION_RETENTION / 86400000),
+  });
+});
+
+// raid cleanup: remove one user's recent messages in a thread
+app.post('/api/messages/bulk-delete', authMiddleware, rateLimited('delete'), (req, res) => {
+  const b = req.body || {};
+  const threadId = String(b.threadId || '');
+  const thr = threadById(threadId);
+  if (!thr || !threadAllowed(threadId, req.user.id)) return res.status(404).json({ error: 'Thread not found.' });
+  const target = findUserById(String(b.userId || ''));
+  if (!target) return res.status(404).json({ error: 'User not found.' });
+  if (target.id === req.user.id) return res.status(400).json({ error: 'Delete your own messages one at a time.' });
+  if (!canModerateUser(thr, req.user, target.id)) return res.status(403).json({ error: 'You cannot moderate this user here.' });
+  const span = Number(b.since);
+  if (!Number.isFinite(span) || span <= 0 || span > BULK_DELETE_WINDOW_MAX) return res.status(400).json({ error: 'Invalid time range.' });
+  const reason = String(b.reason || '').trim().slice(0, REMOVAL_REASON_MAX);
+
+  const cutoff = Date.now() - span;
+  const msgs = threadMessages(threadId)
+    .filter(m => m.senderId === target.id && !m.deletedAt && m.createdAt >= cutoff)
+    .slice(-BULK_DELETE_MAX);
+  for (const m of msgs) removeMessage(m, req.user.id, reason);
+  if (msgs.length) logModeration(req.user, { action: 'bulk-delete', threadId, targetUserId: target.id, messageIds: msgs.map(m => m.id), reason });
+  res.json({ ok: true, removed: msgs.length });
+});
+
+// moderation log: site admins see everything; group managers see their group
+app.get('/api/modlog', authMiddleware, rateLimited('history'), (req, res) => {
+  const threadId = String(req.query.threadId || '');
+  let entries;
+  if (threadId) {
+    const thr = threadById(threadId);
+    if (!thr || !threadAllowed(threadId, req.user.id)) return res.status(404).json({ error: 'Thread not found.' });
+    if (!isSiteAdmin(req.user) && !(thr.type === 'group' && groupCan(thr, req.user.id, 'manageMessages'))) return res.status(403).json({ error: 'Moderators only.' });
+    entries = store.find('modLog', 'byThread', threadId);
+  } else {
+    if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+    entries = store.all('modLog');
+  }
+  entries = entries.sort((a, b) => b.at - a.at).slice(0, 100);
+  res.json({ entries: entries.map(modLogPublic) });
+});
+
+// search
+const SEARCH_TYPES = new Set(['message', 'announcement']);
+function messageHasMention(m) {
+  if (Array.isArray(m.mentions)) return m.mentions.length > 0;
+  return /(^|[^\w])@[a-zA-Z0-9_]{2,20}\b/.test(m.content || '');
+}
+
+// search bounds: epoch ms (the client sends the start / end of the user's own day), a bare
+// YYYY-MM-DD read as a whole UTC day, or a date-time with Z / an offset. Never the server's time zone
+function parseDateParam(v, endOfDay) {
+  const s = String(v || '').trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return Number(s);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return parseDateParam(s + (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z'));
+  if (!/(?:Z|[+-]\d{2}:?\d{2})$/i.test(s)) return undefined;
+  const t = Date.parse(s);
+  return isNaN(t) ? undefined : t;
+}
+
+// ~140 chars around the first hit; ranges index into `text`
+function makeSnippet(content, terms) {
+  const lower = content.toLowerCase();
+  const hitsAt = terms.map(t => lower.indexOf(t)).filter(i => i !== -1);
+  const first = hitsAt.length ? Math.min(...hitsAt) : 0;
+  const start = Math.max(0, first - 50);
+  const end = Math.min(content.length, start + 140);
+  const prefix = start > 0 ? '…' : '';
+  const text = prefix + content.slice(start, end) + (end < content.length ? '…' : '');
+  const ranges = [];
+  const hay = text.toLowerCase();
+  for (const term of terms) {
+    let i = hay.indexOf(term);
+    while (i !== -1) { ranges.push([i, i + term.length]); i = hay.indexOf(term, i + term.length); }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const rg of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && rg[0] <= last[1]) last[1] = Math.max(last[1], rg[1]);
+    else merged.push(rg.slice());
+  }
+  return { text, ranges: merged };
+}
+
+app.get('/api/search', authMiddleware, rateLimited('search'), (req, res) => {
+  const me = req.user;
+  const q = String(req.query.q || '').trim().slice(0, 100);
+  const terms = Array.from(new Set(q.toLowerCase().split(/\s+/).filter(Boolean)));
+  const senderName = String(req.query.sender || '').trim();
+  const threadId = String(req.query.threadId || '');
+  const from = parseDateParam(req.query.from, false);
+  const to = parseDateParam(req.query.to, true);
+  const hasMention = req.query.hasMention === '1' || req.query.hasMention === 'true';
+  const limit = Math.max(1, Math.min(50, parseInt(req.query.limit || '25', 10) || 25));
+
+  if (!terms.length && !senderName && !hasMention) return res.status(400).json({ error: 'Enter something to search for.' });
+  if (from === undefined || to === undefined) return res.status(400).json({ error: 'Invalid date.' });
+
+  let senderId = null;
+  if (senderName) {
+    const sender = findUserByName(senderName);
+    if (!sender) return res.json({ results: [], hasMore: false });
+    senderId = sender.id;
+  }
+
+  let threads = visibleThreads(me.id);
+  if (threadId) {
+    if (!threadAllowed(threadId, me.id)) return res.status(403).json({ error: 'Forbidden.' });
+    threads = threads.filter(t => t.id === threadId);
+  }
+
+  const hits = [];
+  for (const t of threads) {
+    for (const m of store.find('messages', 'byThread', t.id)) {
+      if (m.deletedAt || !SEARCH_TYPES.has(m.type)) continue;
+      if (senderId && m.senderId !== senderId) continue;
+      if (me.blocked.includes(m.senderId)) continue;
+      if (from !== null && m.createdAt < from) continue;
+      if (to !== null && m.createdAt > to) continue;
+      if (hasMention && !messageHasMention(m)) continue;
+      const lower = String(m.content || '').toLowerCase();
+      if (!terms.every(term => lower.includes(term))) continue;
+      hits.push({ m, t });
+    }
+  }
+  hits.sort((a, b) => b.m.createdAt - a.m.createdAt);
+
+  const results = hits.slice(0, limit).map(({ m, t }) => ({
+    message: { id: m.id, threadId: m.threadId, senderId: m.senderId, senderName: m.senderName, senderColor: m.senderColor, createdAt: m.createdAt, type: m.type },
+    thread: { id: t.id, type: t.type, name: threadNameFor(t, me.id) },
+    snippet: makeSnippet(String(m.content || ''), terms),
+  }));
+  res.json({ results, hasMore: hits.length > limit });
+});
+
+// attachments: raw body upload (no multipart), stored as DATA_DIR/uploads/<id>
+function attachmentPublic(u) { return { id: u.id, name: u.name, mime: u.mime, size: u.size, kind: u.kind }; }
+
+function cleanFileName(name, ext) {
+  let s = path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f"\\/]/g, '').trim().slice(0, 100);
+  s = censorText(s);
+  return s || ('file.' + ext);
+}
+
+const rawUpload = express.raw({ type: () => true, limit: UPLOAD_MAX_BYTES });
+app.post('/api/uploads', authMiddleware, rateLimited('upload'), (req, res, next) => {
+  rawUpload(req, res, (err) => {
+    if (err) return res.status(err.status === 413 ? 413 : 400).json({ error: err.status === 413 ? 'File too large.' : 'Upload failed.' });
+    next();
+  });
+}, (req, res) => {
+  if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot upload files.' });
+  const threadId = String(req.query.threadId || '');
+  const thread = threadById(threadId);
+  if (!thread || !threadAllowed(threadId, req.user.id)) return res.status(403).json({ error: 'Forbidden.' });
+  try { assertCanPost(req.user, threadId); } catch (e) { return res.status(403).json({ error: e.message }); }
+  const limits = UPLOAD_LIMITS[thread.type];
+  if (!limits) return res.status(400).json({ error: 'Uploads are not allowed here.' });
+
+  let buf = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!buf.length) return res.status(400).json({ error: 'Empty file.' });
+  const mime = sniffType(buf);
+  const type = mime && UPLOAD_TYPES[mime];
+  if (!type || !limits.kinds.includes(type.kind)) {
+    return res.status(415).json({ error: limits.kinds.length === 1 ? 'Only images are allowed here.' : 'File type not allowed.' });
+  }
+  if (buf.length > limits.maxBytes) return res.status(413).json({ error: `File too large (max ${Math.round(limits.maxBytes / 1024 / 1024)} MB here).` });
+
+  const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+  const used = store.find('uploads', 'byUser', req.user.id).filter(u => u.createdAt > dayAgo).reduce((n, u) => n + u.size, 0);
+  if (used + buf.length > UPLOAD_DAILY_BYTES) return res.status(429).json({ error: 'Daily upload limit reached.' });
+
+  try { buf = stripMetadata(buf, mime); } catch { return res.status(400).json({ error: 'Could not read image.' }); }
+
+  const upload = {
+    id: uid('f_'),
+    userId: req.user.id,
+    threadId,
+    messageId: null,
+    name: cleanFileName(req.query.name, type.ext),
+    mime,
+    kind: type.kind,
+    size: buf.length,
+    createdAt: Date.now(),
+  };
+  fs.writeFileSync(path.join(UPLOAD_DIR, upload.id), buf);
+  store.put('uploads', upload);
+  res.json({ attachment: attachmentPublic(upload) });
 });
 
+app.get('/api/uploads/:id', authMiddleware, rateLimited('download'), (req, res) => {
+  const upload = store.get('uploads', String(req.params.id || ''));
+  if (!upload) return res.status(404).json({ error: 'Not found.' });
+  const msg = upload.messageId ? store.get('messages', upload.messageId) : null;
+  const mine = upload.userId === req.user.id;
+  // unsent uploads are visible to the uploader only; removed messages take their files with them
+  const visible = upload.iconFor ? threadAllowed(upload.iconFor, req.user.id)
+    : !msg ? mine : (!msg.deletedAt && threadAllowed(upload.threadId, req.user.id));
+  if (!visible) return res.status(404).json({ error: 'Not found.' });
+
+  res.setHeader('Content-Type', upload.mime);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  const disposition = upload.kind === 'image' ? 'inline' : 'attachment';
+  res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(upload.name)}`);
+  fs.createReadStream(path.join(UPLOAD_DIR, upload.id))
+    .on('error', () => { if (!res.headersSent) res.status(404).json({ error: 'Not found.' }); else res.end(); })
+    .pipe(res);
+});
+
+function sweepOrphanUploads() {
+  const cutoff = Date.now() - UPLOAD_ORPHAN_TTL;
+  for (const u of store.all('uploads')) {
+    if (u.messageId || u.iconFor || u.createdAt > cutoff) continue;
+    removeUpload(u.id);
+  }
+}
+setInterval(sweepOrphanUploads, 10 * 60 * 1000).unref();
+
 // announcements
-app.post('/api/announce', authMiddleware, (req, res) => {
+app.post('/api/announce', authMiddleware, rateLimited('send'), (req, res) => {
   ensureBadges(req.user);
   if (req.user.isGuest) return res.status(403).json({ error: 'Guests cannot announce.' });
   if (!req.user.badges.includes('ANNOUNCEMENT')) return res.status(403).json({ error: 'Missing ANNOUNCEMENT badge.' });
 
-  const content = censorText(String(req.body.content || '').trim().slice(0, 1500));
-  if (!content) return res.status(400).json({ error: 'Empty announcement.' });
+  const raw = String(req.body.content || '').trim().slice(0, 1500);
+  if (!raw) return res.status(400).json({ error: 'Empty announcement.' });
+  const channel = req.body.threadId ? threadById(String(req.body.threadId)) : defaultChannel();
+  if (!channel || channel.type !== 'channel') return res.status(400).json({ error: 'Announcements go to a channel.' });
+  try { assertCanPost(req.user, channel.id); } catch (e) { return res.status(403).json({ error: e.message }); }
+  const filtered = filterMessage(raw, channel);
+  if (filtered.blocked) return res.status(400).json({ error: 'Blocked by the content filter.' });
+  const content = filtered.text;
+
+  const mentions = resolveMentions(content, channel.id, req.user);
+  const msg = makeMessage({ threadId: channel.id, sender: req.user, content, type: 'announcement', clientId: null, meta: null, mentions });
+  saveMessage(msg);
+  io.to('thread:' + channel.id).emit('message:new', { message: getMessagePublic(msg) });
+  notifyMentions(msg, mentions);
+  if (filtered.flagged.length) flagMessage(msg, filtered.flagged);
+
+  res.json({ ok: true });
+});
+
+// channels (site admins)
+function channelFromBody(body) {
+  const out = {};
+  if (body.name !== undefined) {
+    out.name = String(body.name || '').trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9_-]/g, '').slice(0, 32);
+    if (!out.name) throw new Error('Channel name required.');
+  }
+  if (body.topic !== undefined) out.topic = censorText(String(body.topic || '').trim().slice(0, 200));
+  const p = body.policy && typeof body.policy === 'object' ? body.policy : null;
+  if (p) {
+    out.policy = {};
+    if (p.guests !== undefined) {
+      if (!CHANNEL_GUEST_ACCESS.includes(p.guests)) throw new Error('Invalid guest access.');
+      out.policy.guests = p.guests;
+    }
+    if (p.links !== undefined) out.policy.links = linkPolicyFromBody(p.links, CHANNEL_LINK_EXEMPT);
+    for (const k of ['cooldownUser', 'cooldownGuest']) {
+      if (p[k] === undefined) continue;
+      const ms = Math.floor(Number(p[k]));
+      if (!Number.isFinite(ms) || ms < 0 || ms > CHANNEL_COOLDOWN_MAX) throw new Error('Invalid cooldown.');
+      out.policy[k] = ms;
+    }
+  }
+  return out;
+}
+
+function channelNameTaken(name, exceptId) {
+  return store.find('threads', 'byType', 'channel').some(t => t.id !== exceptId && t.name === name);
+}
+
+// everyone can see channels, so changes go to every socket
+function broadcastChannelUpdate(t) { io.emit('thread:update', { threadId: t.id }); }
+
+app.post('/api/channels', authMiddleware, rateLimited('create'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  let input;
+  try { input = channelFromBody({ ...req.body, name: req.body.name || '' }); } catch (e) { return res.status(400).json({ error: e.message }); }
+  if (channelNameTaken(input.name)) return res.status(400).json({ error: 'A channel with that name exists.' });
+
+  const t = { id: uid('c_'), type: 'channel', name: input.name, topic: input.topic || '', policy: { ...DEFAULT_CHANNEL_POLICY, ...(input.policy || {}) }, createdBy: req.user.id, createdAt: Date.now() };
+  normalizeChannel(t);
+  saveThread(t);
+  broadcastChannelUpdate(t);
+  res.json({ ok: true, threadId: t.id });
+});
 
-  const msg = makeMessage({ threadId: 'global', sender: req.user, content, type: 'announcement', clientId: null, meta: null });
-  db.messages.push(msg);
-  persist();
-  io.to('thread:global').emit('message:new', { message: msg });
+app.post('/api/channels/update', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const t = threadById(String(req.body.threadId || ''));
+  if (!t || t.type !== 'channel') return res.status(404).json({ error: 'Channel not found.' });
+  let input;
+  try { input = channelFromBody(req.body); } catch (e) { return res.status(400).json({ error: e.message }); }
+  if (input.name && channelNameTaken(input.name, t.id)) return res.status(400).json({ error: 'A channel with that name exists.' });
+
+  normalizeChannel(t);
+  if (input.name) t.name = input.name;
+  if (input.topic !== undefined) t.topic = input.topic;
+  if (input.policy) t.policy = { ...t.policy, ...input.policy };
+  if (req.body.isDefault === true && !t.isDefault) {
+    for (const c of store.find('threads', 'byType', 'channel')) {
+      if (c.isDefault) { c.isDefault = false; saveThread(c); }
+    }
+    t.isDefault = true;
+  }
+  saveThread(t);
+  broadcastChannelUpdate(t);
+  res.json({ ok: true });
+});
 
+// the default channel can't be deleted; make another one default first
+app.post('/api/channels/delete', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const t = threadById(String(req.body.threadId || ''));
+  if (!t || t.type !== 'channel') return res.status(404).json({ error: 'Channel not found.' });
+  if (t.isDefault) return res.status(400).json({ error: 'Cannot delete the default channel.' });
+
+  io.in('thread:' + t.id).socketsLeave('thread:' + t.id);
+  typingByThread.delete(t.id);
+  purgeThreadData(t.id);
+  io.emit('thread:removed', { threadId: t.id });
   res.json({ ok: true });
 });
 
+// site moderation (site admins); a new sanction replaces the active one of the same type (and thread).
+// -> { sanction } or { status, error }; also used when resolving reports
+function issueSanction(actor, b) {
+  const target = b.userId ? findUserById(String(b.userId)) : findUserByName(sanitizeUsername(b.username));
+  if (!target) return { status: 404, error: 'User not found.' };
+  if (target.id === actor.id) return { status: 400, error: 'You cannot sanction yourself.' };
+  if (isSiteAdmin(target)) return { status: 403, error: 'Admins cannot be sanctioned.' };
+
+  const type = String(b.type || '');
+  if (!SANCTION_TYPES.includes(type)) return { status: 400, error: 'Invalid sanction type.' };
+  // a positive duration, or permanent: true (not for timeouts); a missing duration never means forever
+  const permanent = b.permanent === true && type !== 'timeout';
+  const duration = permanent ? 0 : Math.floor(Number(b.duration));
+  const max = type === 'timeout' ? TIMEOUT_MAX_DURATION : SANCTION_MAX_DURATION;
+  if (!permanent && !(Number.isFinite(duration) && duration > 0 && duration <= max)) {
+    return { status: 400, error: type === 'timeout' ? 'Timeouts need a duration.' : 'Give a duration, or make it permanent.' };
+  }
+  let threadId = null;
+  if (type === 'timeout') {
+    const t = threadById(String(b.threadId || ''));
+    if (!t) return { status: 404, error: 'Thread not found.' };
+    threadId = t.id;
+  }
+  const reason = String(b.reason || '').trim().slice(0, SANCTION_REASON_MAX) || 'No reason given';
+
+  const now = Date.now();
+  const prev = activeSanction(target.id, type, threadId);
+  if (prev) {
+    prev.liftedAt = now;
+    prev.liftedBy = actor.id;
+    store.put('sanctions', prev);
+  }
+  const s = { id: uid('s_'), userId: target.id, type, threadId, reason, createdBy: actor.id, createdAt: now, expiresAt: duration ? now + duration : null, liftedAt: null, liftedBy: null };
+  store.put('sanctions', s);
+
+  emitToUser(target.id, 'moderation:sanction', { sanction: sanctionPublic(s), message: sanctionText(s) });
+  if (type === 'ban') disconnectUser(target.id);
+  else for (const tid of Array.from(typingByThread.keys())) if (type === 'mute' || tid === threadId) clearTyping(tid, target.id);
+  return { sanction: s };
+}
+
+app.post('/api/admin/sanctions', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const r = issueSanction(req.user, req.body || {});
+  if (r.error) return res.status(r.status).json({ error: r.error });
+  res.json({ ok: true, sanction: sanctionPublic(r.sanction) });
+});
+
+// active sanctions of one user, or everyone's
+app.get('/api/admin/sanctions', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const userId = String(req.query.userId || '');
+  const list = userId ? activeSanctions(userId) : store.all('sanctions').filter(sanctionActive);
+  const sanctions = list
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(s => {
+      const u = findUserById(s.userId);
+      const t = s.threadId ? threadById(s.threadId) : null;
+      return { ...sanctionPublic(s), username: u ? u.username : 'unknown', threadName: t ? threadNameFor(t, s.userId) : null };
+    });
+  res.json({ sanctions });
+});
+
+app.post('/api/admin/sanctions/lift', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const s = store.get('sanctions', String(req.body.sanctionId || ''));
+  if (!s || !sanctionActive(s)) return res.status(404).json({ error: 'No active sanction with that id.' });
+  s.liftedAt = Date.now();
+  s.liftedBy = req.user.id;
+  store.put('sanctions', s);
+  emitToUser(s.userId, 'moderation:lifted', { sanctionId: s.id, type: s.type, threadId: s.threadId || null });
+  res.json({ ok: true });
+});
+
+// reports: one open report per target (a message or a user); later reporters join it.
+// The snapshot keeps what was reported even if the message is edited or deleted afterwards.
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'nsfw', 'other'];
+const REPORT_ACTIONS = ['dismiss', 'delete', 'mute', 'ban'];
+
+function openReportFor(targetKey) { return store.find('reports', 'byTarget', targetKey).find(r => r.status === 'open') || null; }
+function openReportCount() { return store.find('reports', 'byStatus', 'open').length; }
+
+function reportPublic(r) {
+  const name = (id) => { const u = id ? findUserById(id) : null; return u ? u.username : 'unknown'; };
+  const msg = r.messageId ? store.get('messages', r.messageId) : null;
+  return {
+    id: r.id, kind: r.kind, messageId: r.messageId, threadId: r.threadId, targetUserId: r.targetUserId,
+    targetName: name(r.targetUserId), snapshot: r.snapshot,
+    messageGone: r.kind === 'message' && (!msg || !!msg.deletedAt),
+    reporters: r.reporters.map(x => ({ username: x.userId ? name(x.userId) : 'Content filter', reason: x.reason, note: x.note, at: x.at })),
+    status: r.status, createdAt: r.createdAt,
+    resolvedAt: r.resolvedAt, resolvedByName: r.resolvedBy ? name(r.resolvedBy) : null, action: r.action, messageDeleted: !!r.messageDeleted,
+  };
+}
+
+function messageReportTarget(msg) {
+  return {
+    kind: 'message', targetKey: 'message:' + msg.id, messageId: msg.id, threadId: msg.threadId, targetUserId: msg.senderId,
+    snapshot: { content: msg.content, senderName: msg.senderName, createdAt: msg.createdAt, editedAt: msg.editedAt || null, attachments: (msg.attachments || []).map(a => a.name) },
+  };
+}
+
+// adds the reporter to the open report on that target (or opens one); false if they already reported it.
+// The content filter reports with userId null.
+function fileReport(target, entry) {
+  let report = openReportFor(target.targetKey);
+  if (report && report.reporters.some(x => x.userId === entry.userId)) return false;
+  if (report) report.reporters.push(entry);
+  else {
+    report = {
+      id: uid('r_'), ...target, reporters: [entry],
+      status: 'open', createdAt: entry.at, resolvedAt: null, resolvedBy: null, action: null, messageDeleted: false, sanctionId: null,
+    };
+  }
+  store.put('reports', report);
+  notifyAdmins('report:update', { open: openReportCount() });
+  return true;
+}
+
+// 'flag' rules let the message through and queue it for review
+function flagMessage(msg, rules) {
+  fileReport(messageReportTarget(msg), { userId: null, reason: 'filter', note: 'Matched ' + rules.map(r => `"${r.pattern}"`).join(', '), at: Date.now() });
+}
+
+function notifyAdmins(event, payload) {
+  for (const id of socketsByUser.keys()) {
+    if (isSiteAdmin(findUserById(id))) emitToUser(id, event, payload);
+  }
+}
+
+app.post('/api/reports', authMiddleware, rateLimited('report'), (req, res) => {
+  const b = req.body || {};
+  const reason = String(b.reason || '');
+  if (!REPORT_REASONS.includes(reason)) return res.status(400).json({ error: 'Pick a reason.' });
+  const note = String(b.note || '').trim().slice(0, REPORT_NOTE_MAX);
+  const now = Date.now();
+
+  let target;
+  if (b.messageId) {
+    const msg = store.get('messages', String(b.messageId));
+    if (!msg || !threadAllowed(msg.threadId, req.user.id)) return res.status(404).json({ error: 'Message not found.' });
+    if (msg.deletedAt) return res.status(400).json({ error: 'That message was already deleted.' });
+    if (msg.type !== 'message' && msg.type !== 'announcement') return res.status(400).json({ error: 'This message cannot be reported.' });
+    if (msg.senderId === req.user.id) return res.status(400).json({ error: 'You cannot report yourself.' });
+    target = messageReportTarget(msg);
+  } else {
+    const u = findUserById(String(b.userId || ''));
+    if (!u) return res.status(404).json({ error: 'User not found.' });
+    if (u.id === req.user.id) return res.status(400).json({ error: 'You cannot report yourself.' });
+    normalizeUser(u);
+    target = {
+      kind: 'user', targetKey: 'user:' + u.id, messageId: null, threadId: null, targetUserId: u.id,
+      snapshot: { username: u.username, bio: u.bio, statusText: u.statusText },
+    };
+  }
+
+  if (!fileReport(target, { userId: req.user.id, reason, note, at: now })) return res.json({ ok: true, already: true });
+  res.json({ ok: true });
+});
+
+// queue: open reports oldest first; resolved ones newest first
+app.get('/api/admin/reports', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const status = req.query.status === 'resolved' ? 'resolved' : 'open';
+  const list = store.find('reports', 'byStatus', status);
+  const reports = status === 'open'
+    ? list.sort((a, b) => a.createdAt - b.createdAt)
+    : list.sort((a, b) => b.resolvedAt - a.resolvedAt).slice(0, 100);
+  res.json({ reports: reports.map(reportPublic), open: openReportCount() });
+});
+
+// dismiss | delete | mute | ban; deleteMessage also removes the reported message when muting / banning
+app.post('/api/admin/reports/resolve', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const b = req.body || {};
+  const r = store.get('reports', String(b.reportId || ''));
+  if (!r || r.status !== 'open') return res.status(404).json({ error: 'Report not found or already resolved.' });
+  const action = String(b.action || '');
+  if (!REPORT_ACTIONS.includes(action)) return res.status(400).json({ error: 'Invalid action.' });
+
+  const msg = r.messageId ? store.get('messages', r.messageId) : null;
+  const deleteMessage = action === 'delete' || (action !== 'dismiss' && !!b.deleteMessage);
+  if (deleteMessage && r.kind !== 'message') return res.status(400).json({ error: 'This report is not about a message.' });
+
+  if (action === 'mute' || action === 'ban') {
+    const out = issueSanction(req.user, { userId: r.targetUserId, type: action, duration: b.duration, permanent: b.permanent, reason: b.reason || 'Reported for ' + r.reporters[0].reason });
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    r.sanctionId = out.sanction.id;
+  }
+  if (deleteMessage && msg && !msg.deletedAt) {
+    const reason = String(b.reason || 'Reported for ' + r.reporters[0].reason).slice(0, REMOVAL_REASON_MAX);
+    removeMessage(msg, req.user.id, reason);
+    logModeration(req.user, { action: 'delete', threadId: msg.threadId, targetUserId: msg.senderId, messageIds: [msg.id], reason, reportId: r.id });
+    r.messageDeleted = true;
+  }
+  r.status = 'resolved';
+  r.resolvedAt = Date.now();
+  r.resolvedBy = req.user.id;
+  r.action = action;
+  store.put('reports', r);
+  notifyAdmins('report:update', { open: openReportCount() });
+  res.json({ ok: true });
+});
+
+// failed-login state (site admins): who is locked out or getting close
+app.get('/api/admin/lockouts', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  res.json({ lockouts: authGuard.list() });
+});
+
+app.post('/api/admin/lockouts/clear', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  if (!authGuard.clear(req.body.key)) return res.status(404).json({ error: 'Nothing to clear.' });
+  res.json({ ok: true });
+});
+
+// content filter rules (site admins)
+function filterRuleFromBody(b, rule) {
+  const out = { ...rule };
+  if (b.pattern !== undefined) out.pattern = String(b.pattern || '').trim();
+  if (b.kind !== undefined) out.kind = String(b.kind);
+  if (b.action !== undefined) out.action = String(b.action);
+  if (b.scopes !== undefined) out.scopes = Array.isArray(b.scopes) ? Array.from(new Set(b.scopes.map(String))) : [];
+  if (b.enabled !== undefined) out.enabled = !!b.enabled;
+  if (!RULE_KINDS.includes(out.kind)) throw new Error('Invalid rule kind.');
+  if (!RULE_ACTIONS.includes(out.action)) throw new Error('Invalid rule action.');
+  if (!out.scopes.length || out.scopes.some(sc => !RULE_SCOPES.includes(sc))) throw new Error('Pick at least one valid scope.');
+  compileRule(out); // throws on an empty or broken pattern
+  return out;
+}
+
+app.get('/api/admin/filter', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const rules = store.all('filterRules').sort((a, b) => a.createdAt - b.createdAt);
+  res.json({ rules, kinds: RULE_KINDS, actions: RULE_ACTIONS, scopes: RULE_SCOPES });
+});
+
+app.post('/api/admin/filter', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  if (store.count('filterRules') >= FILTER_RULES_MAX) return res.status(400).json({ error: `At most ${FILTER_RULES_MAX} rules.` });
+  let rule;
+  try {
+    rule = filterRuleFromBody(req.body || {}, { kind: 'word', action: 'mask', scopes: RULE_SCOPES.slice(), enabled: true });
+  } catch (e) { return res.status(400).json({ error: e.message }); }
+  rule = { id: uid('f_'), ...rule, createdBy: req.user.id, createdAt: Date.now(), updatedAt: Date.now() };
+  saveFilterRule(rule);
+  res.json({ ok: true, rule });
+});
+
+app.post('/api/admin/filter/update', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const existing = store.get('filterRules', String(req.body.ruleId || ''));
+  if (!existing) return res.status(404).json({ error: 'Rule not found.' });
+  let rule;
+  try { rule = filterRuleFromBody(req.body, existing); } catch (e) { return res.status(400).json({ error: e.message }); }
+  rule.updatedAt = Date.now();
+  saveFilterRule(rule);
+  res.json({ ok: true, rule });
+});
+
+app.post('/api/admin/filter/delete', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  if (!store.remove('filterRules', String(req.body.ruleId || ''))) return res.status(404).json({ error: 'Rule not found.' });
+  filterCache = null;
+  res.json({ ok: true });
+});
+
+// dry run against the live rules: what would happen to this text in that scope
+app.post('/api/admin/filter/test', authMiddleware, rateLimited('admin'), (req, res) => {
+  if (!isSiteAdmin(req.user)) return res.status(403).json({ error: 'Admins only.' });
+  const scope = RULE_SCOPES.includes(req.body.scope) ? req.body.scope : 'channel';
+  const text = String(req.body.text || '').slice(0, 1500);
+  const r = scanText(text, filterFor(scope), scope === 'profile' ? RULE_ACTIONS : undefined);
+  res.json({ text: r.text, blocked: !!r.blocked, hits: r.hits.map(h => ({ id: h.id, pattern: h.pattern, action: h.action })) });
+});
+
 // Socket.IO
 const httpServer = require('http').createServer(app);
 const io = new Server(httpServer, { cors: { origin: '*', methods: ['GET', 'POST'] } });
@@ -579,12 +2125,84 @@ const io = new Server(httpServer, { cors: { origin: '*', methods: ['GET', 'POST'
 const socketsByUser = new Map();
 const onlineUsers = new Map();
 
+// every socket of one user (other tabs / devices), optionally skipping the one that caused it
+function emitToUser(userId, event, payload, exceptSocketId) {
+  for (const sid of socketsByUser.get(userId) || []) {
+    if (sid !== exceptSocketId) io.to(sid).emit(event, payload);
+  }
+}
+// soft delete (the record stays as a tombstone) + unpin; anyone but the sender counts as a moderator
+function removeMessage(msg, byUserId, reason = '') {
+  msg.deletedAt = Date.now();
+  msg.deletedBy = byUserId;
+  if (byUserId !== msg.senderId) {
+    msg.removedByModerator = true;
+    msg.removalReason = reason || null;
+  }
+  saveMessage(msg);
+  io.to('thread:' + msg.threadId).emit('message:delete', {
+    messageId: msg.id, deletedAt: msg.deletedAt, removedByModerator: !!msg.removedByModerator, removalReason: msg.removalReason || null,
+  });
+  const thr = threadById(msg.threadId);
+  if (thr && pinIds(thr).includes(msg.id)) {
+    thr.pins = threadPins(thr).filter(p => p.messageId !== msg.id);
+    saveThread(thr);
+    io.to('thread:' + thr.id).emit('thread:pins', { threadId: thr.id, pins: pinIds(thr) });
+  }
+}
+
+// site admins anywhere; in groups, manageMessages over lower roles
+function canModerateUser(thr, actor, targetUserId) {
+  if (isSiteAdmin(actor)) return true;
+  return !!thr && thr.type === 'group' && groupCan(thr, actor.id, 'manageMessages') && outranks(thr, actor.id, targetUserId);
+}
+
+// moderation log: one entry per removal (or bulk removal), kept with the thread
+function logModeration(actor, { action, threadId, targetUserId, messageIds, reason, reportId }) {
+  store.put('modLog', {
+    id: uid('ml_'), action, actorId: actor.id, threadId, targetUserId, messageIds, reason: reason || null,
+    reportId: reportId || null, at: Date.now(),
+  });
+}
+
+function modLogPublic(e) {
+  const name = (id) => { const u = id ? findUserById(id) : null; return u ? u.username : 'unknown'; };
+  const thr = threadById(e.threadId);
+  return {
+    id: e.id, action: e.action, actorName: name(e.actorId), targetName: name(e.targetUserId), threadId: e.threadId,
+    threadName: thr ? (thr.type === 'dm' ? 'DM' : thr.name) : '(deleted)', count: e.messageIds.length, reason: e.reason, at: e.at,
+  };
+}
+
+// the 'moderation:sanction' emitted just before still reaches them (pending packets are flushed)
+function disconnectUser(userId) {
+  for (const sid of Array.from(socketsByUser.get(userId) || [])) {
+    const s = io.sockets.sockets.get(sid);
+    if (s) s.disconnect(true);
+  }
+}
+// members who haven't opened the thread aren't in its room, so go through their sockets
+function notifyThreadMembers(thread, event, payload) {
+  for (const id of thread.members || []) emitToUser(id, event, payload);
+}
+
 function effectivePresence(u, info) {
   if (u.presence === 'invisible') return 'invisible';
   if (info && info.idleAt) return 'idle';
   return u.presence || 'online';
 }
 
+// the online list goes to every client, so bursts of changes are sent once
+const PRESENCE_LIST_DELAY = 500;
+let presenceListTimer = null;
+function broadcastPresenceList() {
+  if (presenceListTimer) return;
+  presenceListTimer = setTimeout(() => {
+    presenceListTimer = null;
+    io.emit('presence:list', { users: getOnlinePublicList() });
+  }, PRESENCE_LIST_DELAY);
+}
+
 function getOnlinePublicList() {
   const out = [];
   for (const [userId, info] of onlineUsers.entries()) {
@@ -606,7 +2224,7 @@ function getOnlinePublicList() {
   return out;
 }
 
-function makeMessage({ threadId, sender, content, type, clientId, meta }) {
+function makeMessage({ threadId, sender, content, type, clientId, meta, replyTo, attachments, mentions }) {
   const now = Date.now();
   return {
     id: uid('m_'),
@@ -618,12 +2236,56 @@ function makeMessage({ threadId, sender, content, type, clientId, meta }) {
     type: type || 'message',
     meta: meta || null,
     clientId: clientId || null,
+    replyTo: replyTo || null,
+    attachments: attachments || [],
+    mentions: mentions || [],
+    reactions: {},
     createdAt: now,
     editedAt: null,
     deletedAt: null
   };
 }
 
+// quoted parent is resolved on read so edits/deletes of the parent show up in the quote
+function replyPreview(parentId) {
+  const p = store.get('messages', parentId);
+  if (!p || p.deletedAt) return { id: parentId, senderId: p ? p.senderId : null, senderName: p ? p.senderName : null, deleted: true };
+  return { id: p.id, senderId: p.senderId, senderName: p.senderName, senderColor: p.senderColor, content: String(p.content || '').slice(0, 140) };
+}
+
+// revisions, the text of deleted messages and who removed them only go out through /api/messages/history
+function getMessagePublic(m) {
+  const { revisions, deletedBy, ...out } = m;
+  if (out.deletedAt) Object.assign(out, { content: '', attachments: [], mentions: [], reactions: {} });
+  if (m.replyTo) out.reply = replyPreview(m.replyTo);
+  return out;
+}
+
+// the version being replaced, stamped with when it was written
+function addRevision(msg) {
+  const revisions = (msg.revisions || []).concat({ content: msg.content, mentions: msg.mentions || [], at: msg.editedAt || msg.createdAt });
+  msg.revisions = revisions.slice(-REVISIONS_MAX);
+}
+
+// who may read a deleted message: site admins, and in groups whoever can remove messages
+function canSeeDeleted(thr, user) {
+  if (isSiteAdmin(user)) return true;
+  return !!thr && thr.type === 'group' && groupCan(thr, user.id, 'manageMessages');
+}
+
+function sweepMessageHistory() {
+  const cutoff = Date.now() - REVISION_RETENTION;
+  for (const m of store.find('messages', 'withHistory', 1)) {
+    const revisions = (m.revisions || []).filter(rv => rv.at > cutoff);
+    const purge = !!m.deletedAt && m.deletedAt <= cutoff;
+    if (revisions.length === (m.revisions || []).length && !purge) continue;
+    m.revisions = revisions;
+    if (purge) Object.assign(m, { content: '', attachments: [], mentions: [], revisions: [], purgedAt: Date.now() });
+    saveMessage(m);
+  }
+}
+setInterval(sweepMessageHistory, 60 * 60 * 1000).unref();
+
 const recentClientIds = new Map();
 function isDuplicate(senderId, clientId) {
   if (!clientId) return false;
@@ -637,7 +2299,88 @@ function isDuplicate(senderId, clientId) {
   return false;
 }
 
-const lastGlobalSend = new Map();
+// per-thread send cooldowns (a one-token bucket per thread + user in the shared limiter)
+// channels set theirs in policy; groups use their slow mode, which message managers skip
+function sendCooldown(thr, user) {
+  if (!thr) return 0;
+  if (thr.type === 'channel') {
+    normalizeChannel(thr);
+    return user.isGuest ? thr.policy.cooldownGuest : thr.policy.cooldownUser;
+  }
+  if (thr.type === 'group') {
+    normalizeGroup(thr);
+    if (thr.slowMode && !groupCan(thr, user.id, 'manageMessages')) return thr.slowMode * 1000;
+  }
+  return 0;
+}
+
+// throws Cooldown:<ms remaining>, otherwise records the send
+function takeCooldown(threadId, userId, cd) {
+  if (!cd) return;
+  const remaining = limiter.take([{ key: `thread|${threadId}|${userId}`, burst: 1, every: cd }]);
+  if (remaining > 0) throw new Error('Cooldown:' + remaining);
+}
+
+// typing: threadId -> Map(userId -> { username, expiresAt, sentAt, timer })
+const typingByThread = new Map();
+
+function broadcastTyping(threadId) {
+  const map = typingByThread.get(threadId);
+  const users = map ? Array.from(map.entries()).map(([id, t]) => ({ id, username: t.username })) : [];
+  io.to('thread:' + threadId).emit('typing:update', { threadId, users });
+}
+
+function setTyping(threadId, user) {
+  if (!typingByThread.has(threadId)) typingByThread.set(threadId, new Map());
+  const map = typingByThread.get(threadId);
+  const now = Date.now();
+  const cur = map.get(user.id);
+  if (cur) clearTimeout(cur.timer);
+  const entry = { username: user.username, expiresAt: now + TYPING_TTL, sentAt: cur ? cur.sentAt : 0, timer: null };
+  entry.timer = setTimeout(() => clearTyping(threadId, user.id), TYPING_TTL);
+  map.set(user.id, entry);
+  // already announced recently -> just extend the expiry
+  if (now - entry.sentAt < TYPING_THROTTLE) return;
+  entry.sentAt = now;
+  broadcastTyping(threadId);
+}
+
+function clearTyping(threadId, userId) {
+  const map = typingByThread.get(threadId);
+  const cur = map && map.get(userId);
+  if (!cur) return;
+  clearTimeout(cur.timer);
+  map.delete(userId);
+  if (map.size === 0) typingByThread.delete(threadId);
+  broadcastTyping(threadId);
+}
+
+// one emoji (incl. ZWJ sequences / skin tones / flags), nothing else
+const EMOJI_RE = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u200d|\ufe0f|\u20e3|[#*0-9])+$/u;
+const EMOJI_CORE_RE = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+function validEmoji(s) { return s.length <= 16 && EMOJI_RE.test(s) && EMOJI_CORE_RE.test(s); }
+
+// shared checks for reaction:add / reaction:remove
+function reactableMessage(messageId, user) {
+  const msg = store.get('messages', messageId);
+  if (!msg) throw new Error('Not found');
+  if (!threadAllowed(msg.threadId, user.id)) throw new Error('Forbidden');
+  if (msg.deletedAt) throw new Error('Deleted');
+  assertCanPost(user, msg.threadId);
+  const thr = threadById(msg.threadId);
+  if (thr && thr.type === 'dm') {
+    const otherId = thr.members.find(x => x !== user.id);
+    if (otherId && eitherBlocked(user.id, otherId)) throw new Error('DM blocked.');
+  }
+  msg.reactions = msg.reactions && typeof msg.reactions === 'object' ? msg.reactions : {};
+  return msg;
+}
+
+// users on one emoji; own keys only, so "__proto__" / "constructor" read as no reactions
+function reactionUsers(msg, emoji) {
+  const users = Object.hasOwn(msg.reactions, emoji) ? msg.reactions[emoji] : null;
+  return Array.isArray(users) ? users : [];
+}
 
 io.use((socket, next) => {
   const token = socket.handshake.auth && socket.handshake.auth.token;
@@ -645,6 +2388,12 @@ io.use((socket, next) => {
   if (!decoded) return next(new Error('unauthorized'));
   const user = findUserById(decoded.id);
   if (!user) return next(new Error('unauthorized'));
+  const ban = activeSanction(user.id, 'ban');
+  if (ban) {
+    const err = new Error(sanctionText(ban));
+    err.data = { sanction: sanctionPublic(ban) };
+    return next(err);
+  }
   normalizeUser(user);
   ensureBadges(user);
   socket.user = user;
@@ -658,7 +2407,25 @@ io.on('connection', (socket) => {
   socketsByUser.get(user.id).add(socket.id);
 
   onlineUsers.set(user.id, { lastSeen: Date.now(), presence: user.presence, idleAt: null });
-  io.emit('presence:list', { users: getOnlinePublicList() });
+  broadcastPresenceList();
+
+  // bans normally disconnect right away (disconnectUser); this catches anything in flight
+  socket.use((_packet, next) => {
+    const ban = activeSanction(user.id, 'ban');
+    if (!ban) return next();
+    socket.emit('moderation:sanction', { sanction: sanctionPublic(ban), message: sanctionText(ban) });
+    socket.disconnect(true);
+  });
+
+  // rate limits per event; a limited packet is answered (if it has an ack) and dropped
+  const ip = socketIp(socket);
+  socket.use((packet, next) => {
+    const policy = SOCKET_RATE_POLICIES[packet[0]];
+    const wait = policy ? takeRate(policy, user, ip) : 0;
+    if (!wait) return next();
+    const cb = packet[packet.length - 1];
+    if (typeof cb === 'function') cb({ ok: false, error: 'Cooldown:' + wait });
+  });
 
   socket.on('disconnect', () => {
     const set = socketsByUser.get(user.id);
@@ -668,10 +2435,30 @@ io.on('connection', (socket) => {
     }
     if (!socketsByUser.has(user.id)) {
       onlineUsers.delete(user.id);
-      io.emit('presence:list', { users: getOnlinePublicList() });
+      broadcastPresenceList();
+      for (const threadId of Array.from(typingByThread.keys())) clearTyping(threadId, user.id);
     }
   });
 
+  socket.on('typing:start', (payload, cb) => {
+    try {
+      const threadId = String(payload?.threadId || '');
+      if (!threadId) throw new Error('threadId required');
+      if (!threadAllowed(threadId, user.id)) throw new Error('forbidden');
+      assertCanPost(user, threadId);
+      setTyping(threadId, user);
+      cb && cb({ ok: true });
+    } catch (e) {
+      cb && cb({ ok: false, error: e.message || 'error' });
+    }
+  });
+
+  socket.on('typing:stop', (payload, cb) => {
+    const threadId = String(payload?.threadId || '');
+    if (threadId) clearTyping(threadId, user.id);
+    cb && cb({ ok: true });
+  });
+
   socket.on('thread:join', (payload, cb) => {
     try {
       const threadId = String(payload?.threadId || '');
@@ -684,19 +2471,43 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('thread:read', (payload, cb) => {
+    try {
+      const threadId = String(payload?.threadId || '');
+      const messageId = String(payload?.messageId || '');
+      if (!threadId || !messageId) throw new Error('threadId and messageId required');
+      if (!threadAllowed(threadId, user.id)) throw new Error('forbidden');
+      const msg = store.get('messages', messageId);
+      if (!msg || msg.threadId !== threadId) throw new Error('Not found');
+
+      // markers only move forward
+      const cur = readMarker(user.id, threadId);
+      if (cur && (cur.messageId === msg.id || cur.readAt > msg.createdAt)) { cb && cb({ ok: true, already: true }); return; }
+
+      store.put('reads', { id: user.id + ':' + threadId, userId: user.id, threadId, messageId: msg.id, readAt: msg.createdAt });
+      emitToUser(user.id, 'thread:read', { threadId, messageId: msg.id }, socket.id);
+      if (receiptsEnabled(threadById(threadId))) {
+        io.to('thread:' + threadId).emit('receipt:update', { threadId, userId: user.id, username: user.username, messageId: msg.id });
+      }
+      cb && cb({ ok: true });
+    } catch (e) {
+      cb && cb({ ok: false, error: e.message || 'error' });
+    }
+  });
+
   socket.on('presence:set', (payload, cb) => {
     const presence = String(payload?.presence || '');
     const valid = new Set(['online', 'idle', 'dnd', 'invisible']);
     if (valid.has(presence)) {
       user.presence = presence;
-      persist();
+      saveUser(user);
       const info = onlineUsers.get(user.id) || { lastSeen: Date.now(), idleAt: null };
       info.lastSeen = Date.now();
       info.presence = presence;
       info.idleAt = (presence === 'idle') ? Date.now() : null;
       onlineUsers.set(user.id, info);
       io.emit('presence:update', { user: getUserPublic(user) });
-      io.emit('presence:list', { users: getOnlinePublicList() });
+      broadcastPresenceList();
     }
     cb && cb({ ok: true });
   });
@@ -704,10 +2515,11 @@ io.on('connection', (socket) => {
   socket.on('activity:ping', (_payload, cb) => {
     const info = onlineUsers.get(user.id);
     if (info) {
+      const changed = !!info.idleAt;
       info.lastSeen = Date.now();
       info.idleAt = null;
       onlineUsers.set(user.id, info);
-      io.emit('presence:list', { users: getOnlinePublicList() });
+      if (changed) broadcastPresenceList();
     }
     cb && cb({ ok: true });
   });
@@ -715,10 +2527,11 @@ io.on('connection', (socket) => {
   socket.on('activity:idle', (_payload, cb) => {
     const info = onlineUsers.get(user.id);
     if (info) {
+      const changed = !info.idleAt;
       info.lastSeen = Date.now();
-      info.idleAt = Date.now();
+      if (changed) info.idleAt = Date.now();
       onlineUsers.set(user.id, info);
-      io.emit('presence:list', { users: getOnlinePublicList() });
+      if (changed) broadcastPresenceList();
     }
     cb && cb({ ok: true });
   });
@@ -728,44 +2541,62 @@ io.on('connection', (socket) => {
       const threadId = String(payload?.threadId || '');
       let content = String(payload?.content || '').trim();
       const clientId = payload?.clientId ? String(payload.clientId) : null;
+      const replyTo = payload?.replyTo ? String(payload.replyTo) : null;
+      const attachIds = Array.isArray(payload?.attachments) ? Array.from(new Set(payload.attachments.map(String))) : [];
 
       if (!threadId) throw new Error('threadId required');
-      if (!content) throw new Error('Empty message');
+      if (!content && !attachIds.length) throw new Error('Empty message');
+      if (attachIds.length > MAX_ATTACHMENTS) throw new Error(`Max ${MAX_ATTACHMENTS} attachments`);
+      if (attachIds.length && user.isGuest) throw new Error('Guests cannot send files.');
       if (content.length > 1500) throw new Error('Message too long');
 
       if (!threadAllowed(threadId, user.id)) throw new Error('Forbidden');
-
-      if (user.isGuest && threadId !== 'global') throw new Error('Guests cannot DM or join groups.');
+      assertCanPost(user, threadId);
 
       const thr = threadById(threadId);
+      if (user.isGuest && thr.type !== 'channel') throw new Error('Guests cannot DM or join groups.');
+
       if (thr && thr.type === 'dm') {
         const otherId = thr.members.find(x => x !== user.id);
         if (otherId && eitherBlocked(user.id, otherId)) throw new Error('DM blocked.');
       }
 
-      if (threadId === 'global' && containsLink(content)) throw new Error('Links are not allowed in global chat.');
+      const linkError = linkViolation(thr, user, content);
+      if (linkError) throw new Error(linkError);
 
-      if (threadId === 'global') {
-        const now = Date.now();
-        const last = lastGlobalSend.get(user.id) || 0;
-        const cd = user.isGuest ? COOLDOWN_GUEST_GLOBAL : COOLDOWN_USER_GLOBAL;
-        const remaining = cd - (now - last);
-        if (remaining > 0) throw new Error('Cooldown:' + remaining);
-        lastGlobalSend.set(user.id, now);
+      const uploads = attachIds.map(id => {
+        const u = store.get('uploads', id);
+        if (!u || u.userId !== user.id || u.threadId !== threadId || u.messageId) throw new Error('Attachment not found (upload it again).');
+        return u;
+      });
+
+      if (replyTo) {
+        const parent = store.get('messages', replyTo);
+        if (!parent || parent.threadId !== threadId) throw new Error('Reply target not found in this chat.');
+        if (parent.deletedAt) throw new Error('Cannot reply to a deleted message.');
       }
 
-      content = censorText(content);
+      takeCooldown(threadId, user.id, sendCooldown(thr, user));
+
+      const filtered = filterMessage(content, thr);
+      if (filtered.blocked) throw new Error('Your message was blocked by the content filter.');
+      content = filtered.text;
 
       if (isDuplicate(user.id, clientId)) {
         cb && cb({ ok: true, duplicate: true });
         return;
       }
 
-      const msg = makeMessage({ threadId, sender: user, content, type: 'message', clientId, meta: null });
-      db.messages.push(msg);
-      persist();
-      io.to('thread:' + threadId).emit('message:new', { message: msg });
-      cb && cb({ ok: true, message: msg });
+      const mentions = resolveMentions(content, threadId, user);
+      const msg = makeMessage({ threadId, sender: user, content, type: 'message', clientId, meta: null, replyTo, attachments: uploads.map(attachmentPublic), mentions });
+      saveMessage(msg);
+      for (const u of uploads) { u.messageId = msg.id; store.put('uploads', u); }
+      clearTyping(threadId, user.id);
+      const out = getMessagePublic(msg);
+      io.to('thread:' + threadId).emit('message:new', { message: out });
+      notifyMentions(msg, mentions);
+      if (filtered.flagged.length) flagMessage(msg, filtered.flagged);
+      cb && cb({ ok: true, message: out });
     } catch (e) {
       cb && cb({ ok: false, error: e.message || 'error' });
     }
@@ -779,20 +2610,31 @@ io.on('connection', (socket) => {
       if (!content) throw new Error('Empty');
       if (content.length > 1500) throw new Error('Too long');
 
-      const msg = db.messages.find(m => m.id === messageId);
+      const msg = store.get('messages', messageId);
       if (!msg) throw new Error('Not found');
       if (msg.senderId !== user.id) throw new Error('Forbidden');
       if (msg.deletedAt) throw new Error('Deleted');
       const now = Date.now();
       if (now - msg.createdAt > EDIT_WINDOW) throw new Error('Edit window expired');
-
-      if (msg.threadId === 'global' && containsLink(content)) throw new Error('Links are not allowed in global chat.');
-
-      content = censorText(content);
+      assertCanPost(user, msg.threadId);
+
+      const linkError = linkViolation(threadById(msg.threadId), user, content);
+      if (linkError) throw new Error(linkError);
+
+      const filtered = filterMessage(content, threadById(msg.threadId));
+      if (filtered.blocked) throw new Error('Your edit was blocked by the content filter.');
+      content = filtered.text;
+      const mentions = resolveMentions(content, msg.threadId, user);
+      const added = mentions.filter(id => !(msg.mentions || []).includes(id));
+      if (content === msg.content) return cb && cb({ ok: true });
+      addRevision(msg);
       msg.content = content;
+      msg.mentions = mentions;
       msg.editedAt = now;
-      persist();
-      io.to('thread:' + msg.threadId).emit('message:edit', { messageId: msg.id, content: msg.content, editedAt: msg.editedAt });
+      saveMessage(msg);
+      io.to('thread:' + msg.threadId).emit('message:edit', { messageId: msg.id, content: msg.content, mentions: msg.mentions, editedAt: msg.editedAt });
+      notifyMentions(msg, added);
+      if (filtered.flagged.length) flagMessage(msg, filtered.flagged);
       cb && cb({ ok: true });
     } catch (e) { cb && cb({ ok: false, error: e.message || 'error' }); }
   });
@@ -802,19 +2644,128 @@ io.on('connection', (socket) => {
       const messageId = String(payload?.messageId || '');
       if (!messageId) throw new Error('messageId required');
 
-      const msg = db.messages.find(m => m.id === messageId);
-      if (!msg) throw new Error('Not found');
-      if (msg.senderId !== user.id) throw new Error('Forbidden');
+      const msg = store.get('messages', messageId);
+      if (!msg || !threadAllowed(msg.threadId, user.id)) throw new Error('Not found');
       if (msg.deletedAt) throw new Error('Already deleted');
-      const now = Date.now();
-      if (now - msg.createdAt > EDIT_WINDOW) throw new Error('Delete window expired');
+      const thr = threadById(msg.threadId);
+      // senders inside the edit window; moderators (site admins, group managers over lower roles) any time, with a reason
+      if (msg.senderId === user.id && Date.now() - msg.createdAt <= EDIT_WINDOW) {
+        removeMessage(msg, user.id);
+        return cb && cb({ ok: true });
+      }
+      if (!canModerateUser(thr, user, msg.senderId)) throw new Error(msg.senderId === user.id ? 'Delete window expired' : 'Forbidden');
 
-      msg.deletedAt = now;
-      persist();
-      io.to('thread:' + msg.threadId).emit('message:delete', { messageId: msg.id, deletedAt: msg.deletedAt });
+      const reason = String(payload?.reason || '').trim().slice(0, REMOVAL_REASON_MAX);
+      removeMessage(msg, user.id, reason); // a moderator's own old message gets a plain tombstone
+      if (msg.senderId !== user.id) logModeration(user, { action: 'delete', threadId: msg.threadId, targetUserId: msg.senderId, messageIds: [msg.id], reason });
+      cb && cb({ ok: true });
+    } catch (e) { cb && cb({ ok: false, error: e.message || 'error' }); }
+  });
+
+  // pins: DMs either side, groups by the pin permission, channels by site admins
+  function pinTarget(payload) {
+    const messageId = String(payload?.messageId || '');
+    if (!messageId) throw new Error('messageId required');
+    const msg = store.get('messages', messageId);
+    if (!msg || msg.deletedAt) throw new Error('Not found');
+    const thr = threadById(msg.threadId);
+    if (!canPin(thr, user)) throw new Error('Forbidden');
+    assertCanPost(user, thr.id);
+    if (thr.type === 'dm') {
+      const otherId = thr.members.find(x => x !== user.id);
+      if (otherId && eitherBlocked(user.id, otherId)) throw new Error('DM blocked.');
+    }
+    return { msg, thr };
+  }
+
+  function announcePins(thr, msg, pinned) {
+    saveThread(thr);
+    const note = makeMessage({
+      threadId: thr.id, sender: user, type: 'system',
+      content: `📌 ${user.username} ${pinned ? 'pinned' : 'unpinned'} a message.`,
+      meta: { pin: pinned, messageId: msg.id }, replyTo: msg.id,
+    });
+    saveMessage(note);
+    io.to('thread:' + thr.id).emit('message:new', { message: getMessagePublic(note) });
+    io.to('thread:' + thr.id).emit('thread:pins', { threadId: thr.id, pins: pinIds(thr) });
+  }
+
+  socket.on('message:pin', (payload, cb) => {
+    try {
+      const { msg, thr } = pinTarget(payload);
+      if (msg.type !== 'message' && msg.type !== 'announcement') throw new Error('Cannot pin this message');
+      const pins = threadPins(thr);
+      if (pins.some(p => p.messageId === msg.id)) { cb && cb({ ok: true, already: true }); return; }
+      if (pins.length >= MAX_PINS) throw new Error(`Pin limit reached (${MAX_PINS}); unpin something first`);
+      thr.pins = [{ messageId: msg.id, pinnedBy: user.id, pinnedAt: Date.now() }, ...pins];
+      announcePins(thr, msg, true);
+      cb && cb({ ok: true });
+    } catch (e) { cb && cb({ ok: false, error: e.message || 'error' }); }
+  });
+
+  socket.on('message:unpin', (payload, cb) => {
+    try {
+      const { msg, thr } = pinTarget(payload);
+      const pins = threadPins(thr);
+      if (!pins.some(p => p.messageId === msg.id)) { cb && cb({ ok: true, already: true }); return; }
+      thr.pins = pins.filter(p => p.messageId !== msg.id);
+      announcePins(thr, msg, false);
+      cb && cb({ ok: true });
+    } catch (e) { cb && cb({ ok: false, error: e.message || 'error' }); }
+  });
+
+  // reactions: msg.reactions = { emoji: [userId, ...] }
+  socket.on('reaction:add', (payload, cb) => {
+    try {
+      const messageId = String(payload?.messageId || '');
+      const emoji = String(payload?.emoji || '').trim();
+      if (!messageId) throw new Error('messageId required');
+      if (!validEmoji(emoji)) throw new Error('Invalid emoji');
+
+      const msg = reactableMessage(messageId, user);
+      const users = reactionUsers(msg, emoji);
+      if (users.includes(user.id)) { cb && cb({ ok: true, already: true }); return; }
+      if (!users.length && Object.keys(msg.reactions).length >= MAX_REACTION_EMOJI) throw new Error('Too many reactions on this message');
+
+      msg.reactions[emoji] = [...users, user.id];
+      saveMessage(msg);
+      io.to('thread:' + msg.threadId).emit('message:reactions', { messageId: msg.id, reactions: msg.reactions });
+      cb && cb({ ok: true });
+    } catch (e) { cb && cb({ ok: false, error: e.message || 'error' }); }
+  });
+
+  socket.on('reaction:remove', (payload, cb) => {
+    try {
+      const messageId = String(payload?.messageId || '');
+      const emoji = String(payload?.emoji || '').trim();
+      if (!messageId) throw new Error('messageId required');
+      if (!validEmoji(emoji)) throw new Error('Invalid emoji');
+
+      const msg = reactableMessage(messageId, user);
+      const users = reactionUsers(msg, emoji);
+      if (!users.includes(user.id)) { cb && cb({ ok: true, already: true }); return; }
+
+      const left = users.filter(x => x !== user.id);
+      if (left.length) msg.reactions[emoji] = left;
+      else delete msg.reactions[emoji];
+      saveMessage(msg);
+      io.to('thread:' + msg.threadId).emit('message:reactions', { messageId: msg.id, reactions: msg.reactions });
       cb && cb({ ok: true });
     } catch (e) { cb && cb({ ok: false, error: e.message || 'error' }); }
   });
 });
 
-httpServer.listen(PORT, () => console.log(`tonkotsu.online running on :${PORT}`));
+// required (tests) rather than run: routes are set up, nothing listens
+if (require.main === module) {
+  httpServer.listen(PORT, () => console.log(`tonkotsu.online running on :${PORT}`));
+
+  // flush the store before exiting (Ctrl+C, or SIGTERM from a service manager)
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      store.close();
+      process.exit(0);
+    });
+  }
+}
+
+module.exports = { app, store, RATE_POLICIES };
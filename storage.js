@@ -0,0 +1,200 @@
+'use strict';
+/**
+ * storage.js (Node ONLY) — embedded append-only store
+ * - every put/remove appends ONE json line to store.log (cost = size of the record)
+ * - boot: load store.snapshot.json, replay store.log on top
+ * - log is compacted into a fresh snapshot once it outgrows the live data
+ * - in-memory secondary indexes replace full-array scans
+ * - close() on shutdown flushes the log to disk and releases it
+ */
+const path = require('path');
+const fs = require('fs');
+
+const SNAPSHOT_FILE = 'store.snapshot.json';
+const LOG_FILE = 'store.log';
+const COMPACT_MIN_ENTRIES = 1000;
+
+/**
+ * createStore({ dir, collections })
+ * collections: { name: { indexName: (record) => key | key[] } }
+ * Records are plain objects with a string `id`.
+ */
+function createStore({ dir, collections }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const snapshotPath = path.join(dir, SNAPSHOT_FILE);
+  const logPath = path.join(dir, LOG_FILE);
+
+  // name -> { records: Map<id, record>, indexes: Map<indexName, { fn, buckets: Map<key, id[]>, keysById: Map<id, key[]> }> }
+  const cols = new Map();
+  for (const [name, indexDefs] of Object.entries(collections || {})) {
+    const indexes = new Map();
+    for (const [indexName, fn] of Object.entries(indexDefs || {})) {
+      indexes.set(indexName, { fn, buckets: new Map(), keysById: new Map() });
+    }
+    cols.set(name, { records: new Map(), indexes });
+  }
+
+  function col(name) {
+    const c = cols.get(name);
+    if (!c) throw new Error('Unknown collection: ' + name);
+    return c;
+  }
+
+  function indexKeys(ix, record) {
+    const k = ix.fn(record);
+    const arr = Array.isArray(k) ? k : [k];
+    return Array.from(new Set(arr.filter(x => x !== undefined && x !== null)));
+  }
+
+  function unindex(c, id) {
+    for (const ix of c.indexes.values()) {
+      const keys = ix.keysById.get(id) || [];
+      for (const k of keys) {
+        const bucket = ix.buckets.get(k);
+        if (!bucket) continue;
+        const i = bucket.indexOf(id);
+        if (i !== -1) bucket.splice(i, 1);
+        if (bucket.length === 0) ix.buckets.delete(k);
+      }
+      ix.keysById.delete(id);
+    }
+  }
+
+  function reindex(c, record) {
+    for (const ix of c.indexes.values()) {
+      const prev = ix.keysById.get(record.id) || [];
+      const next = indexKeys(ix, record);
+      // keys unchanged -> keep bucket order (messages stay in insertion order)
+      if (prev.length === next.length && prev.every((k, i) => k === next[i])) continue;
+      for (const k of prev) {
+        if (next.includes(k)) continue;
+        const bucket = ix.buckets.get(k);
+        if (!bucket) continue;
+        const i = bucket.indexOf(record.id);
+        if (i !== -1) bucket.splice(i, 1);
+        if (bucket.length === 0) ix.buckets.delete(k);
+      }
+      for (const k of next) {
+        if (prev.includes(k)) continue;
+        if (!ix.buckets.has(k)) ix.buckets.set(k, []);
+        ix.buckets.get(k).push(record.id);
+      }
+      ix.keysById.set(record.id, next);
+    }
+  }
+
+  function applyPut(name, record) {
+    const c = cols.get(name);
+    if (!c || !record || !record.id) return;
+    c.records.set(record.id, record);
+    reindex(c, record);
+  }
+  function applyRemove(name, id) {
+    const c = cols.get(name);
+    if (!c || !c.records.has(id)) return;
+    unindex(c, id);
+    c.records.delete(id);
+  }
+
+  // load snapshot
+  try {
+    if (fs.existsSync(snapshotPath)) {
+      const snap = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+      for (const [name, list] of Object.entries((snap && snap.collections) || {})) {
+        for (const r of (Array.isArray(list) ? list : [])) applyPut(name, r);
+      }
+    }
+  } catch (e) {
+    throw new Error('Failed to read ' + SNAPSHOT_FILE + ': ' + e.message);
+  }
+
+  // replay log. A crash mid-append can only tear the last line: it's dropped and cut from the file,
+  // so the next append starts on a fresh line. A bad line anywhere else means the log is damaged.
+  let logEntries = 0;
+  if (fs.existsSync(logPath)) {
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+    let last = lines.length - 1;
+    while (last >= 0 && !lines[last].trim()) last--;
+    for (let i = 0; i <= last; i++) {
+      if (!lines[i].trim()) continue;
+      let entry;
+      try { entry = JSON.parse(lines[i]); } catch { entry = null; }
+      if (!entry || typeof entry !== 'object') {
+        if (i < last) throw new Error('Failed to read ' + LOG_FILE + ': line ' + (i + 1) + ' is not a valid entry');
+        fs.truncateSync(logPath, i ? Buffer.byteLength(lines.slice(0, i).join('\n')) + 1 : 0);
+        break;
+      }
+      if (entry.op === 'put') applyPut(entry.c, entry.v);
+      else if (entry.op === 'del') applyRemove(entry.c, entry.id);
+      logEntries++;
+    }
+  }
+
+  let logFd = fs.openSync(logPath, 'a');
+
+  function liveCount() {
+    let n = 0;
+    for (const c of cols.values()) n += c.records.size;
+    return n;
+  }
+
+  function append(entry) {
+    if (logFd === null) throw new Error('Store is closed');
+    fs.writeSync(logFd, JSON.stringify(entry) + '\n');
+    logEntries++;
+    if (logEntries > Math.max(COMPACT_MIN_ENTRIES, liveCount())) compact();
+  }
+
+  function compact() {
+    if (logFd === null) throw new Error('Store is closed');
+    const out = { version: 1, compactedAt: Date.now(), collections: {} };
+    for (const [name, c] of cols.entries()) out.collections[name] = Array.from(c.records.values());
+    const tmp = snapshotPath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(out));
+    fs.renameSync(tmp, snapshotPath);
+    // snapshot now holds everything in the log; replaying both after a crash here is harmless
+    fs.closeSync(logFd);
+    fs.writeFileSync(logPath, '');
+    logFd = fs.openSync(logPath, 'a');
+    logEntries = 0;
+  }
+
+  function find(name, indexName, key) {
+    const c = col(name);
+    const ix = c.indexes.get(indexName);
+    if (!ix) throw new Error('Unknown index: ' + name + '.' + indexName);
+    const ids = ix.buckets.get(key) || [];
+    return ids.map(id => c.records.get(id)).filter(Boolean);
+  }
+
+  return {
+    get(name, id) { return col(name).records.get(id) || null; },
+    all(name) { return Array.from(col(name).records.values()); },
+    count(name) { return col(name).records.size; },
+    find,
+    findOne(name, indexName, key) { return find(name, indexName, key)[0] || null; },
+    put(name, record) {
+      col(name);
+      if (!record || !record.id) throw new Error('Record id required');
+      applyPut(name, record);
+      append({ c: name, op: 'put', v: record });
+      return record;
+    },
+    remove(name, id) {
+      if (!col(name).records.has(id)) return false;
+      applyRemove(name, id);
+      append({ c: name, op: 'del', id });
+      return true;
+    },
+    compact,
+    // flush the log to disk and release it; later writes throw
+    close() {
+      if (logFd === null) return;
+      fs.fsyncSync(logFd);
+      fs.closeSync(logFd);
+      logFd = null;
+    },
+  };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,125 @@
+'use strict';
+// failed logins: doubling lockouts, and the proof-of-work the login form has to solve
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createAuthGuard, LOGIN_LOCK_AFTER, LOGIN_LOCK_BASE, LOGIN_LOCK_MAX, LOGIN_CHALLENGE_AFTER } = require('../authguard');
+const { solveChallenge } = require('../public/pow');
+
+// Date.now under the test's control
+function clock(t) {
+  let now = Date.UTC(2026, 0, 1);
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => { now += ms; }, now: () => now };
+}
+
+// a nonce whose hash misses the leading zero bits
+function wrongNonce(c) {
+  for (let n = 0; ; n++) {
+    const hash = crypto.createHash('sha256').update(c.salt + n).digest();
+    if (hash.readUInt32BE(0) >>> (32 - c.bits)) return String(n);
+  }
+}
+
+function failUntilLocked(guard, keys) {
+  for (let i = 0; i < LOGIN_LOCK_AFTER.account; i++) guard.recordFailure(keys);
+  return guard.lock(keys);
+}
+
+test('each lockout of the same account lasts twice as long, up to a day', (t) => {
+  const time = clock(t);
+  const locks = [];
+  const guard = createAuthGuard({ onLockout: (l) => locks.push(l) });
+  const keys = guard.keys('Bob', '10.0.0.1').filter(([kind]) => kind === 'account');
+
+  const lengths = [];
+  for (let round = 0; round < 8; round++) {
+    for (let i = 0; i < LOGIN_LOCK_AFTER.account - 1; i++) guard.recordFailure(keys);
+    assert.equal(guard.lock(keys), null, 'locked too early');
+    guard.recordFailure(keys);
+    const lock = guard.lock(keys);
+    lengths.push(lock.lockedUntil - time.now());
+    time.advance(lock.lockedUntil - time.now());
+    assert.equal(guard.lock(keys), null, 'lock did not end');
+  }
+  assert.deepEqual(lengths.slice(0, 4), [1, 2, 4, 8].map(n => n * LOGIN_LOCK_BASE));
+  assert.equal(Math.max(...lengths), LOGIN_LOCK_MAX);
+  assert.deepEqual(locks.map(l => l.lockouts), [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.equal(locks[0].key, 'account|bob');
+});
+
+test('the lockout count survives a sweep for a day, then starts over', (t) => {
+  const time = clock(t);
+  const guard = createAuthGuard();
+  const keys = [['account', 'bob']];
+  const first = failUntilLocked(guard, keys);
+  time.advance(first.lockedUntil - time.now() + 60 * 60 * 1000);
+  guard.sweep();
+  assert.equal(failUntilLocked(guard, keys).lockedUntil - time.now(), 2 * LOGIN_LOCK_BASE);
+
+  time.advance(2 * LOGIN_LOCK_BASE + LOGIN_LOCK_MAX + 1);
+  guard.sweep();
+  assert.deepEqual(guard.list(), []);
+  assert.equal(failUntilLocked(guard, keys).lockedUntil - time.now(), LOGIN_LOCK_BASE);
+});
+
+test('an IP takes more failures than an account, and clear() lifts a lock', () => {
+  const guard = createAuthGuard();
+  const ip = [['ip', '10.0.0.2']];
+  for (let i = 0; i < LOGIN_LOCK_AFTER.account; i++) guard.recordFailure(ip);
+  assert.equal(guard.lock(ip), null);
+  for (let i = LOGIN_LOCK_AFTER.account; i < LOGIN_LOCK_AFTER.ip; i++) guard.recordFailure(ip);
+  assert.ok(guard.lock(ip));
+  assert.equal(guard.list()[0].key, 'ip|10.0.0.2');
+  assert.ok(guard.clear('ip|10.0.0.2'));
+  assert.equal(guard.lock(ip), null);
+  assert.equal(guard.clear('ip|10.0.0.2'), false);
+});
+
+test('a challenge is asked for after a few failures, only when turned on', () => {
+  const keys = [['account', 'bob']];
+  const off = createAuthGuard({ challengeBits: 0 });
+  const on = createAuthGuard({ challengeBits: 8 });
+  for (let i = 0; i < LOGIN_CHALLENGE_AFTER; i++) {
+    assert.equal(on.challengeNeeded(keys), false);
+    on.recordFailure(keys);
+    off.recordFailure(keys);
+  }
+  assert.equal(on.challengeNeeded(keys), true);
+  assert.equal(off.challengeNeeded(keys), false);
+});
+
+test('challenge answers: right once, wrong, reused, unknown or late are refused', async (t) => {
+  const time = clock(t);
+  const guard = createAuthGuard({ challengeBits: 10 });
+
+  const c = guard.newChallenge();
+  assert.equal(c.bits, 10);
+  const answer = await solveChallenge(c);
+  assert.equal(answer.challengeId, c.id);
+  assert.equal(guard.challengeSolved(answer.challengeId, answer.nonce), true);
+  assert.equal(guard.challengeSolved(answer.challengeId, answer.nonce), false);
+
+  const c2 = guard.newChallenge();
+  const good = await solveChallenge(c2);
+  assert.equal(guard.challengeSolved(c2.id, wrongNonce(c2)), false);
+  assert.equal(guard.challengeSolved(c2.id, good.nonce), false, 'a failed try must use the challenge up');
+
+  assert.equal(guard.challengeSolved('ch_unknown', '0'), false);
+
+  const c3 = guard.newChallenge();
+  const late = await solveChallenge(c3);
+  time.advance(5 * 60 * 1000);
+  assert.equal(guard.challengeSolved(c3.id, late.nonce), false);
+});
+
+test('the plain-JS fallback solves what the server checks', async (t) => {
+  // what a page served over plain http sees
+  const webCrypto = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+  t.after(() => Object.defineProperty(globalThis, 'crypto', webCrypto));
+  const guard = createAuthGuard({ challengeBits: 12 });
+  const c = guard.newChallenge();
+  const answer = await solveChallenge(c);
+  assert.equal(guard.challengeSolved(answer.challengeId, answer.nonce), true);
+});
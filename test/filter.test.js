@@ -0,0 +1,91 @@
+'use strict';
+// bypass strings the filter has to catch, and ordinary text it must leave alone
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRule, scanText, MASK_CHAR } = require('../filter');
+
+const WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'dick', 'pussy', 'rape', 'porn', '*nigger*', 'kill yourself'];
+const rules = (action = 'mask') => WORDS.map((pattern, i) => {
+  const rule = { id: 'f' + i, pattern, kind: 'word', action };
+  return { rule, re: compileRule(rule) };
+});
+const compiled = rules();
+
+function assertCaught(list) {
+  for (const text of list) assert.ok(scanText(text, compiled).hits.length, `missed ${JSON.stringify(text)}`);
+}
+
+test('plain and repeated letters', () => {
+  assertCaught(['fuck', 'FUCK', 'PuSsY', 'fuuuuuck', 'shiiit', 'NIGGERS', 'kill   yourself']);
+});
+
+test('leetspeak', () => {
+  assertCaught(['sh!t', '$hit', 'sh1t', '5h1t', 'p0rn', 'r4pe', 'n1gg3r']);
+});
+
+test('confusables, accents and compatibility forms', () => {
+  assertCaught([
+    'fսck', // Armenian u
+    'bіtсh', // Cyrillic i, c
+    'ѕhit', // Cyrillic s
+    'ʀᴀᴘᴇ', // small caps
+    'ｆｕｃｋ', // fullwidth
+    '𝐟𝐮𝐜𝐤', // mathematical bold
+    'fück', 'f\u0301uck',
+  ]);
+});
+
+test('spaced and punctuated letters', () => {
+  assertCaught(['f u c k', 'f.u.c.k', 'c.u.n.t', 'd-i-c-k', 'what-the-fuck', 'fuck_this', 'k i l l yourself']);
+});
+
+test('zero-width and invisible characters', () => {
+  assertCaught(['f\u200Buck', 'fu\u00ADck', 's\u200Dh\u2060it', 'sh\uFEFFit', 'f\u034Fuck']);
+});
+
+test('markdown-split words', () => {
+  assertCaught(['sh*i*t', '**fuck**', '~~shit~~', '||shit||', 'sh|i|t', '`porn`', 'f_u_c_k']);
+});
+
+test('ordinary text is left alone', () => {
+  const ok = [
+    'Scunthorpe', 'assassin', 'grape', 'cocktail', 'Niger and Nigeria', 'dickens', 'shiitake', 'is hit',
+    'I am a b c', '2024 was 1337', '@dick_fan hello', 'hello!', 'snake_case_name', '**bold** text',
+    'e-mail me at x.com/a', 'thank you', 'sussex', 'therapist', 'pushit', '12:30 p.m.', '$5 or 5$',
+  ];
+  for (const text of ok) {
+    const r = scanText(text, compiled);
+    assert.equal(r.hits.length, 0, `false positive ${JSON.stringify(text)} -> ${r.text}`);
+    assert.equal(r.text, text);
+  }
+});
+
+test('masking keeps markup and punctuation around the match', () => {
+  const m = MASK_CHAR.repeat(4);
+  assert.equal(scanText('**shit**', compiled).text, `**${m}**`);
+  assert.equal(scanText('||shit||', compiled).text, `||${m}||`);
+  assert.equal(scanText('oh sh!t.', compiled).text, `oh ${m}.`);
+  assert.equal(scanText('f.u.c.k', compiled).text, [MASK_CHAR, MASK_CHAR, MASK_CHAR, MASK_CHAR].join('.'));
+  assert.equal(scanText('a fine day', compiled).text, 'a fine day');
+});
+
+test('actions: block and flag are reported, not masked', () => {
+  const blocked = scanText('well shit', rules('block'));
+  assert.equal(blocked.blocked.pattern, 'shit');
+  assert.equal(blocked.text, 'well shit');
+  const flagged = scanText('well shit', rules('flag'));
+  assert.deepEqual(flagged.flagged.map(r => r.pattern), ['shit']);
+  assert.equal(flagged.blocked, null);
+  // names and bios mask whatever matched
+  assert.equal(scanText('well shit', rules('block'), ['mask', 'block', 'flag']).text, 'well ' + MASK_CHAR.repeat(4));
+});
+
+test('rule validation', () => {
+  assert.throws(() => compileRule({ kind: 'word', pattern: '' }));
+  assert.throws(() => compileRule({ kind: 'word', pattern: 'a' }));
+  assert.throws(() => compileRule({ kind: 'regex', pattern: '(' }), /Invalid regex/);
+  assert.throws(() => compileRule({ kind: 'word', pattern: 'x'.repeat(101) }));
+  const wild = { rule: { id: 'w', pattern: 'crypto*', kind: 'word', action: 'mask' }, re: compileRule({ kind: 'word', pattern: 'crypto*' }) };
+  assert.equal(scanText('CRYPTOCOINS', [wild]).hits.length, 1);
+  assert.equal(scanText('cryp', [wild]).hits.length, 0);
+});
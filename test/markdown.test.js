@@ -0,0 +1,89 @@
+'use strict';
+// the message Markdown subset: what becomes an element, and what must stay plain text
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMarkdown, parseLinks } = require('../public/markdown');
+
+const md = (text) => parseMarkdown(text);
+
+test('plain text and HTML stay text', () => {
+  assert.deepEqual(md('hello world'), ['hello world']);
+  for (const text of ['<script>alert(1)</script>', '<img src=x onerror=alert(1)>', '&lt;b&gt; & <a href="x">']) {
+    assert.deepEqual(md(text), [text]);
+  }
+  assert.deepEqual(md('**<b>hi</b>**'), [{ tag: 'strong', children: ['<b>hi</b>'] }]);
+  assert.deepEqual(md('`<script>`'), [{ tag: 'code', text: '<script>' }]);
+});
+
+test('links are http(s) only', () => {
+  assert.deepEqual(md('see https://example.com/a_b_c.'), [
+    'see ', { tag: 'a', href: 'https://example.com/a_b_c', text: 'https://example.com/a_b_c' }, '.',
+  ]);
+  assert.deepEqual(md('www.example.com'), [{ tag: 'a', href: 'http://www.example.com/', text: 'www.example.com' }]);
+  for (const text of ['javascript:alert(1)', 'JaVaScRiPt:alert(document.cookie)', 'data:text/html,<script>x</script>',
+    'vbscript:msgbox(1)', 'file.io', '[x](javascript:alert(1))']) {
+    const out = md(text);
+    assert.ok(!JSON.stringify(out).includes('"tag":"a"'), `linked ${JSON.stringify(text)}`);
+  }
+  // a javascript: prefix doesn't ride along on a real link
+  const out = md('javascript:https://example.com/');
+  const links = out.filter(n => n.tag === 'a');
+  assert.equal(links.length, 1);
+  assert.equal(links[0].href, 'https://example.com/');
+  assert.equal(parseLinks('go to http://x.test/(a) now')[1].text, 'http://x.test/(a)');
+});
+
+test('formatting inside links is left alone', () => {
+  assert.deepEqual(md('https://x.test/**a**/b'), [{ tag: 'a', href: 'https://x.test/**a**/b', text: 'https://x.test/**a**/b' }]);
+  assert.deepEqual(md('example.com/_x_/y'), [{ tag: 'a', href: 'http://example.com/_x_/y', text: 'example.com/_x_/y' }]);
+  // trailing marks close the formatting around a link, not the link
+  assert.deepEqual(md('**https://x.test/a**'), [
+    { tag: 'strong', children: [{ tag: 'a', href: 'https://x.test/a', text: 'https://x.test/a' }] },
+  ]);
+});
+
+test('inline markers', () => {
+  assert.deepEqual(md('**b** *i* _i_ ~~s~~ ||sp||'), [
+    { tag: 'strong', children: ['b'] }, ' ',
+    { tag: 'em', children: ['i'] }, ' ',
+    { tag: 'em', children: ['i'] }, ' ',
+    { tag: 's', children: ['s'] }, ' ',
+    { tag: 'span', cls: 'spoiler', children: ['sp'] },
+  ]);
+  assert.deepEqual(md('snake_case_name'), ['snake_case_name']);
+  assert.deepEqual(md('2 * 3 * 4'), ['2 * 3 * 4']);
+  assert.deepEqual(md('****'), ['****']);
+});
+
+test('unclosed markers stay literal', () => {
+  for (const text of ['**bold', 'a *b', '~~x', '||spoiler', '_x', '`code', '```js\nno end', '** padded **', '* x*']) {
+    assert.deepEqual(md(text), [text], JSON.stringify(text));
+  }
+  assert.deepEqual(md('**a *b**'), [{ tag: 'strong', children: ['a *b'] }]);
+});
+
+test('nested markers, capped in depth', () => {
+  assert.deepEqual(md('**bold *both* too**'), [{ tag: 'strong', children: ['bold ', { tag: 'em', children: ['both'] }, ' too'] }]);
+  assert.deepEqual(md('||~~**x**~~||'), [
+    { tag: 'span', cls: 'spoiler', children: [{ tag: 's', children: [{ tag: 'strong', children: ['x'] }] }] },
+  ]);
+  let depth = 0;
+  for (let nodes = md('**~~||*_x_*||~~**'); nodes.length && typeof nodes[0] !== 'string'; nodes = nodes[0].children) depth++;
+  assert.equal(depth, 4);
+});
+
+test('backslash escapes', () => {
+  assert.deepEqual(md('\\*not em\\*'), ['*not em*']);
+  assert.deepEqual(md('\\`x\\` \\\\ \\|\\| \\~\\~'), ['`x` \\ || ~~']);
+  assert.deepEqual(md('**a\\**b**'), [{ tag: 'strong', children: ['a**b'] }]);
+  assert.deepEqual(md('\\n stays'), ['\\n stays']);
+});
+
+test('code spans and blocks are verbatim', () => {
+  assert.deepEqual(md('`**x** _y_ https://x.test/`'), [{ tag: 'code', text: '**x** _y_ https://x.test/' }]);
+  assert.deepEqual(md('a `` b'), ['a `` b']);
+  assert.deepEqual(md('before\n```js\nconst a = "<b>";\n**x**\n```\nafter'), [
+    'before', { tag: 'pre', text: 'const a = "<b>";\n**x**' }, 'after',
+  ]);
+  assert.deepEqual(md('```\n<img src=x onerror=alert(1)>\n```'), [{ tag: 'pre', text: '<img src=x onerror=alert(1)>' }]);
+});
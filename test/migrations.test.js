@@ -0,0 +1,119 @@
+'use strict';
+// the v1 -> current chain over a legacy data dir, and data that has to stop the boot
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const bcrypt = require('bcryptjs');
+const { createStore } = require('../storage');
+const { runMigrations, SCHEMA_VERSION } = require('../migrations');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'legacy');
+
+// the collections + indexes migrations read, as server.js declares them
+const COLLECTIONS = {
+  users: { byName: u => String(u.username || '').toLowerCase() },
+  threads: { byType: t => t.type, byMember: t => t.members || [] },
+  messages: { byThread: m => m.threadId },
+  filterRules: {},
+  meta: {},
+};
+
+function legacyDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.cpSync(FIXTURE, dir, { recursive: true });
+  return dir;
+}
+
+function openStore(t, dir) {
+  const store = createStore({ dir, collections: COLLECTIONS });
+  t.after(() => store.close());
+  return store;
+}
+
+function migrate(store, dir) {
+  return runMigrations(store, {
+    dataDir: dir,
+    uid: (prefix = '') => prefix + crypto.randomBytes(6).toString('hex'),
+    stableColor: () => 'hsl(0 0% 50%)',
+    hashPassword: (pw) => bcrypt.hashSync(pw, 4),
+  });
+}
+
+const user = (store, name) => store.findOne('users', 'byName', name);
+const texts = (store, threadId) => store.find('messages', 'byThread', threadId).map(m => m.content);
+
+test('a legacy data dir comes up to the current schema', (t) => {
+  const dir = legacyDir(t);
+  const store = openStore(t, dir);
+  assert.equal(migrate(store, dir), SCHEMA_VERSION);
+  assert.equal(store.get('meta', 'schema').version, SCHEMA_VERSION);
+
+  // password hashes: kept when bcrypt can read them, dropped otherwise, plain passwords hashed
+  assert.match(user(store, 'alice').passHash, /^\$2a\$04\$/);
+  assert.equal(user(store, 'bob').passHash, null);
+  assert.ok(bcrypt.compareSync('secret1', user(store, 'carol').passHash));
+
+  // v1 messages.json was out of order
+  assert.deepEqual(texts(store, 't_old'), ['first', 'second', 'third']);
+
+  // global.json lands in the global thread, which is now the default channel
+  const global = store.get('threads', 'global');
+  assert.equal(global.type, 'channel');
+  assert.equal(global.isDefault, true);
+  assert.deepEqual(texts(store, 'global'), ['first!', 'hello everyone']);
+  assert.equal(user(store, 'dave').legacy, true);
+
+  const alice = user(store, 'alice');
+  const carol = user(store, 'carol');
+  const dm = store.find('threads', 'byMember', alice.id).find(th => th.type === 'dm');
+  assert.deepEqual(dm.members.slice().sort(), [alice.id, carol.id].sort());
+  assert.deepEqual(texts(store, dm.id), ['hey']);
+  const club = store.get('threads', 'club');
+  assert.equal(club.roles[alice.id], 'owner');
+  assert.deepEqual(texts(store, 'club'), ['welcome']);
+  assert.deepEqual([alice.friends, carol.friends], [[carol.id], [alice.id]]);
+  assert.ok(store.count('filterRules') > 0);
+});
+
+test('migrations run once', (t) => {
+  const dir = legacyDir(t);
+  const store = openStore(t, dir);
+  migrate(store, dir);
+  const counts = ['users', 'threads', 'messages', 'filterRules'].map(c => store.count(c));
+  migrate(store, dir);
+  assert.deepEqual(['users', 'threads', 'messages', 'filterRules'].map(c => store.count(c)), counts);
+});
+
+test('a file that cannot be converted stops the chain before that step writes', (t) => {
+  const dir = legacyDir(t);
+  fs.writeFileSync(path.join(dir, 'dms.json'), '{ "alice|carol": [ { "from": "carol"');
+  const store = openStore(t, dir);
+  assert.throws(() => migrate(store, dir), /Cannot migrate dms\.json: invalid JSON/);
+  assert.equal(store.get('meta', 'schema').version, 1);
+  assert.deepEqual(texts(store, 'global'), []);
+});
+
+test('data from a newer server is refused', (t) => {
+  const dir = legacyDir(t);
+  const store = openStore(t, dir);
+  store.put('meta', { id: 'schema', version: SCHEMA_VERSION + 1 });
+  assert.throws(() => migrate(store, dir), /newer than this server/);
+});
+
+test('the server refuses to boot on data it cannot migrate', (t) => {
+  const dir = legacyDir(t);
+  fs.writeFileSync(path.join(dir, 'global.json'), '["just a string"]');
+  const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, DATA_DIR: dir, PORT: '0' },
+    encoding: 'utf8',
+    timeout: 20000,
+  });
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /Cannot migrate global\.json: message is a bare string/);
+  assert.match(run.stderr, /refusing to start/);
+});
@@ -0,0 +1,20 @@
+'use strict';
+// the plain-JS SHA-256 the login check falls back to over http
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { sha256 } = require('../public/pow');
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+test('known digests', () => {
+  assert.equal(hex(sha256(new Uint8Array(0))), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  assert.equal(hex(sha256(Buffer.from('abc'))), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('matches node crypto across block boundaries', () => {
+  for (const len of [1, 55, 56, 63, 64, 65, 119, 120, 128, 1000]) {
+    const data = crypto.randomBytes(len);
+    assert.equal(hex(sha256(data)), crypto.createHash('sha256').update(data).digest('hex'), `length ${len}`);
+  }
+});
@@ -0,0 +1,39 @@
+'use strict';
+// every HTTP route goes through rateLimited(...) with a known policy
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+process.env.DATA_DIR = dataDir;
+const { app, store, RATE_POLICIES } = require('../server');
+
+test.after(() => {
+  store.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function routes() {
+  return app._router.stack.filter(layer => layer.route).map(({ route }) => ({
+    name: Object.keys(route.methods).map(m => m.toUpperCase()).join(',') + ' ' + route.path,
+    policies: route.stack.map(l => l.handle.ratePolicy).filter(Boolean),
+  }));
+}
+
+test('every route is rate limited', () => {
+  const list = routes();
+  assert.ok(list.length > 50, 'routes not found on the app');
+  const missing = list.filter(r => !r.policies.length).map(r => r.name);
+  assert.deepEqual(missing, []);
+  for (const r of list) {
+    for (const p of r.policies) assert.ok(RATE_POLICIES[p], `${r.name}: unknown policy ${p}`);
+  }
+});
+
+test('admin routes share the admin policy', () => {
+  for (const r of routes().filter(r => r.name.includes(' /api/admin/'))) {
+    assert.deepEqual(r.policies, ['admin'], r.name);
+  }
+});
@@ -0,0 +1,55 @@
+'use strict';
+// log replay: a torn last line is a crash mid-write, a bad line before it is damage
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../storage');
+
+const open = (dir) => createStore({ dir, collections: { notes: {} } });
+const ids = (store) => store.all('notes').map(r => r.id).sort();
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('a torn last line is dropped and cut off', (t) => {
+  const dir = tmpDir(t);
+  const store = open(dir);
+  store.put('notes', { id: 'a', text: 'héllo' });
+  store.put('notes', { id: 'b' });
+  store.close();
+  fs.appendFileSync(path.join(dir, 'store.log'), '{"op":"put","c":"notes","v":{"id":"c"');
+
+  const reopened = open(dir);
+  assert.deepEqual(ids(reopened), ['a', 'b']);
+  reopened.put('notes', { id: 'd' });
+  reopened.close();
+  const last = open(dir);
+  assert.deepEqual(ids(last), ['a', 'b', 'd']);
+  last.close();
+});
+
+test('close() flushes the log and refuses later writes', (t) => {
+  const dir = tmpDir(t);
+  const store = open(dir);
+  store.put('notes', { id: 'a' });
+  store.close();
+  store.close();
+  assert.throws(() => store.put('notes', { id: 'b' }), /closed/);
+  assert.match(fs.readFileSync(path.join(dir, 'store.log'), 'utf8'), /"id":"a"/);
+});
+
+test('a bad line before the end fails the boot', (t) => {
+  const dir = tmpDir(t);
+  fs.writeFileSync(path.join(dir, 'store.log'), [
+    '{"op":"put","c":"notes","v":{"id":"a"}}',
+    '{"op":"put","c":"no',
+    '{"op":"put","c":"notes","v":{"id":"b"}}',
+    '',
+  ].join('\n'));
+  assert.throws(() => open(dir), /store\.log: line 2/);
+});